@@ -0,0 +1,75 @@
+/**
+ * Knowledge base validator
+ *
+ * Checks celf_interpretations.json against the schema and prints a coverage
+ * report: test × band × audience combinations with no entry, for the bands of
+ * every classification scheme, and score ranges that overlap or leave gaps.
+ * Exits non-zero when anything is wrong.
+ * Untranslated family entries are listed but do not fail the check.
+ *
+ * Usage: npm run validate:kb
+ */
+
+import { createServer } from 'vite'
+
+const formatZ = value => (value === Infinity ? '+∞' : value === -Infinity ? '-∞' : value)
+
+// Load the app's own modules through Vite so JSON and src imports resolve as in the browser
+const server = await createServer({
+  logLevel: 'error',
+  appType: 'custom',
+  server: { middlewareMode: true, hmr: false },
+  optimizeDeps: { noDiscovery: true, include: [] }
+})
+
+let failed = false
+
+try {
+  const { default: entries } = await server.ssrLoadModule('/src/knowledgeBase/celf_interpretations.json')
+  const { validateKnowledgeBase, buildCoverageReport } = await server.ssrLoadModule('/src/knowledgeBase/kbSchema.js')
+  const { CLASSIFICATION_SCHEMES, getScheme } = await server.ssrLoadModule('/src/utils/classification.js')
+  const schemes = CLASSIFICATION_SCHEMES.map(({ id }) => getScheme(id))
+
+  console.log(`Knowledge base: ${entries.length} entries (bands: ${schemes.map(scheme => scheme.label).join(', ')})\n`)
+
+  const invalid = validateKnowledgeBase(entries)
+  console.log(`Schema: ${invalid.length === 0 ? 'OK' : `${invalid.length} invalid entries`}`)
+  for (const { id, index, errors } of invalid) {
+    console.log(`  ${id || `entry #${index}`}`)
+    errors.forEach(error => console.log(`    - ${error}`))
+  }
+
+  // Band coverage depends on the scheme; ranges, comparisons and translations do not
+  const reports = schemes.map(scheme => ({ scheme, report: buildCoverageReport(entries, scheme) }))
+  const { report } = reports[0]
+  const complete = reports.every(({ report: schemeReport }) => schemeReport.complete)
+
+  console.log(`\nCoverage: ${complete ? 'complete' : 'incomplete'}`)
+  for (const { scheme, report: schemeReport } of reports) {
+    for (const { test, testName, bandLabel, audience } of schemeReport.missing) {
+      console.log(`  missing  ${test} (${testName}) · ${bandLabel} (${scheme.label}) · ${audience}`)
+    }
+  }
+  for (const { test, audience, ids, from, to } of report.overlaps) {
+    console.log(`  overlap  ${test} · ${audience} · z ${formatZ(from)} to ${formatZ(to)} (${ids.join(', ')})`)
+  }
+  for (const { test, audience, from, to } of report.gaps) {
+    console.log(`  gap      ${test} · ${audience} · z ${formatZ(from)} to ${formatZ(to)}`)
+  }
+  for (const { direction, audience } of report.missingComparisons) {
+    console.log(`  missing  Composite Comparison (${direction}) · ${audience}`)
+  }
+
+  if (report.missingTranslations.length > 0) {
+    console.log(`\nTranslations: ${report.missingTranslations.length} family entries fall back to English`)
+    for (const { id, language, fields } of report.missingTranslations) {
+      console.log(`  ${language}  ${id} · ${fields.join(', ')}`)
+    }
+  }
+
+  failed = invalid.length > 0 || !complete
+} finally {
+  await server.close()
+}
+
+process.exit(failed ? 1 : 0)
@@ -1,81 +1,184 @@
-import React, { useState, useEffect, useMemo } from 'react'
-import Papa from 'papaparse'
+import React, { useState, useMemo } from 'react'
 import StudentSwitcher from './components/StudentSwitcher'
 import ScoreChart from './components/ScoreChart'
 import InsightsPanel from './components/InsightsPanel'
 import ClinicalInsightAssistant from './components/ClinicalInsightAssistant'
 import ExportButton from './components/ExportButton'
 import KPICard from './components/KPICard'
-import { calculateZScore, getNormativeBand } from './utils/scoreCalculator'
-import { processCSVData, getUniqueStudents, TEST_NAMES } from './utils/dataParser'
+import KPISelector from './components/KPISelector'
+import DataImport from './components/DataImport'
+import ImportSummary from './components/ImportSummary'
+import ReverificationList from './components/ReverificationList'
+import AssessmentDetails from './components/AssessmentDetails'
+import AssessmentDiff from './components/AssessmentDiff'
+import CaseloadSummary from './components/CaseloadSummary'
+import TrendChart from './components/TrendChart'
+import DiscrepancyMatrix from './components/DiscrepancyMatrix'
+import ScaledProfileChart from './components/ScaledProfileChart'
+import CohortDashboard from './components/CohortDashboard'
+import StudentComparison from './components/StudentComparison'
+import KnowledgeBaseEditor from './components/KnowledgeBaseEditor'
+import {
+  TEST_NAMES,
+  SUBTEST_PREFIXES,
+  collectEntryMismatches,
+  getUniqueStudents
+} from './utils/dataParser'
+import { getContacts, filterByContact, summarizeCaseload } from './utils/caseloadUtils'
+import { loadHiddenStatuses, isStatusVisible } from './utils/statusFilter'
+import { getScoreHistory } from './utils/trendUtils'
+import { CONFIDENCE_LEVELS, DEFAULT_CONFIDENCE_LEVEL } from './utils/reliability'
+import { buildProgressInsight } from './utils/progressEngine'
+import { buildIndexKpis, loadKpiTests, saveKpiTests } from './utils/kpiUtils'
+import { buildDiscrepancyInsight } from './utils/discrepancyAnalysis'
+import { CLASSIFICATION_SCHEMES, getScheme, loadSchemeId, saveSchemeId, classifyScore } from './utils/classification'
+import { ClassificationContext } from './utils/classificationContext'
 import './App.css'
 
 // Main application component for CELF-P3 Assessment Dashboard
 
+// LocalStorage key for the clinician's caseload (Contact code)
+const CASELOAD_KEY = 'lt_caseload'
+
+/**
+ * Load the saved caseload code from localStorage
+ */
+function loadCaseload() {
+  if (typeof window === 'undefined') return null
+  try {
+    return window.localStorage.getItem(CASELOAD_KEY) || null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Save the caseload code to localStorage (null clears it)
+ */
+function saveCaseload(contact) {
+  if (typeof window === 'undefined') return
+  try {
+    if (contact) {
+      window.localStorage.setItem(CASELOAD_KEY, contact)
+    } else {
+      window.localStorage.removeItem(CASELOAD_KEY)
+    }
+  } catch {
+    // fail silently – not critical
+  }
+}
+
 function App() {
-  const [data, setData] = useState([])
-  const [students, setStudents] = useState([])
+  const [datasets, setDatasets] = useState([])
+  const [activeDatasetId, setActiveDatasetId] = useState(null)
   const [selectedStudent, setSelectedStudent] = useState(null)
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
+  const [view, setView] = useState('import')
+  const [caseload, setCaseload] = useState(loadCaseload)
+  const [chartMode, setChartMode] = useState('latest')
+  const [trendMetric, setTrendMetric] = useState('standard')
+  const [confidenceLevel, setConfidenceLevel] = useState(DEFAULT_CONFIDENCE_LEVEL)
+  const [schemeId, setSchemeId] = useState(loadSchemeId)
+  const [kpiTests, setKpiTests] = useState(loadKpiTests)
   const [isInsightPanelOpen, setIsInsightPanelOpen] = useState(false)
 
-  useEffect(() => {
-    // Load and parse CSV file
-    fetch('/Copy of CELF-P3 - Responses.csv')
-      .then(response => response.text())
-      .then(csvText => {
-        Papa.parse(csvText, {
-          header: true,
-          skipEmptyLines: true,
-          complete: (results) => {
-            try {
-              const processedData = processCSVData(results.data)
-              const uniqueStudents = getUniqueStudents(processedData)
-              
-              setData(processedData)
-              setStudents(uniqueStudents)
-              
-              // Select first student by default
-              if (uniqueStudents.length > 0) {
-                setSelectedStudent(uniqueStudents[0])
-              }
-              
-              setLoading(false)
-            } catch (err) {
-              console.error('Error processing data:', err)
-              setError('Failed to process CSV data. Please check the file format.')
-              setLoading(false)
-            }
-          },
-          error: (err) => {
-            console.error('CSV parsing error:', err)
-            setError('Failed to parse CSV file.')
-            setLoading(false)
-          }
-        })
-      })
-      .catch(err => {
-        console.error('Error loading CSV:', err)
-        setError('Failed to load CSV file. Make sure the file exists in the public folder.')
-        setLoading(false)
-      })
-  }, [])
+  const scheme = useMemo(() => getScheme(schemeId), [schemeId])
+  const activeDataset = datasets.find(d => d.id === activeDatasetId) || null
+  const allRecords = useMemo(() => activeDataset?.records || [], [activeDataset])
+  const contacts = useMemo(() => getContacts(allRecords), [allRecords])
+
+  // Caseload mode scopes every downstream view (roster, insights, exports) to one Contact
+  const activeCaseload = contacts.some(c => c.code === caseload) ? caseload : null
+  const data = useMemo(() => filterByContact(allRecords, activeCaseload), [allRecords, activeCaseload])
+  const students = useMemo(() => (
+    activeCaseload ? getUniqueStudents(data) : (activeDataset?.students || [])
+  ), [activeCaseload, data, activeDataset])
+  const caseloadSummary = useMemo(() => (
+    activeCaseload ? summarizeCaseload(data, scheme) : null
+  ), [activeCaseload, data, scheme])
+
+  /**
+   * Switch to another loaded dataset and select its first student
+   */
+  const activateDataset = (dataset, nextView = 'dashboard') => {
+    setActiveDatasetId(dataset.id)
+    // Prefer a student in the saved caseload who is visible under the saved status filter
+    const hiddenStatuses = loadHiddenStatuses()
+    const inCaseload = caseload
+      ? getUniqueStudents(filterByContact(dataset.records, caseload))
+      : []
+    const candidates = inCaseload.length > 0 ? inCaseload : dataset.students
+    setSelectedStudent(
+      candidates.find(s => isStatusVisible(s, hiddenStatuses)) ||
+      candidates[0] ||
+      null
+    )
+    setView(nextView)
+  }
+
+  // New imports land on the validation summary before the dashboard
+  const handleImport = (dataset) => {
+    setDatasets(prev => [...prev, dataset])
+    activateDataset(dataset, 'summary')
+  }
+
+  const handleSelectDataset = (datasetId) => {
+    const dataset = datasets.find(d => d.id === datasetId)
+    if (dataset) {
+      activateDataset(dataset)
+    }
+  }
 
   const handleStudentChange = (studentId) => {
     const student = students.find(s => s.id === studentId)
     setSelectedStudent(student)
   }
 
+  const handleCaseloadChange = (contact) => {
+    const nextCaseload = contact || null
+    setCaseload(nextCaseload)
+    saveCaseload(nextCaseload)
+
+    // Keep the current student if they are in the new caseload
+    const scoped = nextCaseload
+      ? getUniqueStudents(filterByContact(allRecords, nextCaseload))
+      : (activeDataset?.students || [])
+    if (!selectedStudent || !scoped.some(s => s.id === selectedStudent.id)) {
+      setSelectedStudent(
+        scoped.find(s => isStatusVisible(s, loadHiddenStatuses())) || scoped[0] || null
+      )
+    }
+  }
+
+  // Charts, counts, insights and exports all re-classify under the new scheme
+  const handleSchemeChange = (nextSchemeId) => {
+    setSchemeId(nextSchemeId)
+    saveSchemeId(nextSchemeId)
+  }
+
+  const handleKpiTestsChange = (nextTests) => {
+    setKpiTests(nextTests)
+    saveKpiTests(nextTests)
+  }
+
+  // Open a student's dashboard from the re-verification list or comparison
+  const handleOpenStudent = (studentId) => {
+    handleStudentChange(studentId)
+    setView('dashboard')
+  }
+
+  // Entered-vs-stored score mismatches across every record in the current scope
+  const entryMismatches = useMemo(() => collectEntryMismatches(data), [data])
+
   // Calculate student assessments and insights - must be before conditional returns
-  const { studentAssessments, tests, insights, kpiMetrics } = useMemo(() => {
+  const { studentAssessments, tests, insights, kpiMetrics, studentMismatches } = useMemo(() => {
     // Default values when no student is selected
     if (!selectedStudent || !data || data.length === 0) {
       return {
         studentAssessments: [],
         tests: [],
         insights: [],
-        kpiMetrics: null
+        kpiMetrics: null,
+        studentMismatches: []
       }
     }
 
@@ -94,50 +197,24 @@ function App() {
     let kpiData = null
     
     if (assessments.length > 0) {
-      const { mean, sd } = { mean: 100, sd: 15 } // CELF-P3 normative params
       const latestAssessment = assessments.sort((a, b) => 
         new Date(b.date) - new Date(a.date)
       )[0]
       
       // Calculate KPI metrics
       if (latestAssessment && latestAssessment.tests) {
-        const cls = latestAssessment.tests.CLS?.standardScore
-        const rli = latestAssessment.tests.RLI?.standardScore
-        const eli = latestAssessment.tests.ELI?.standardScore
-        
-        // Get previous assessment for comparison
-        const previousAssessment = assessments.length > 1 
-          ? assessments.sort((a, b) => new Date(b.date) - new Date(a.date))[1]
-          : null
-        
-        const prevCLS = previousAssessment?.tests.CLS?.standardScore
-        const prevRLI = previousAssessment?.tests.RLI?.standardScore
-        const prevELI = previousAssessment?.tests.ELI?.standardScore
-        
-        // Calculate changes
-        const clsChange = cls && prevCLS ? ((cls - prevCLS) / prevCLS) * 100 : null
-        const rliChange = rli && prevRLI ? ((rli - prevRLI) / prevRLI) * 100 : null
-        const eliChange = eli && prevELI ? ((eli - prevELI) / prevELI) * 100 : null
-        
-        // Count tests in each band
+        // Count tests in each band tone of the active classification scheme
         const testEntries = Object.entries(latestAssessment.tests || {})
-        const belowAvgCount = testEntries.filter(([_, test]) => 
-          test.standardScore !== null && test.standardScore < mean - sd
-        ).length
-        const avgCount = testEntries.filter(([_, test]) => 
-          test.standardScore !== null && test.standardScore >= mean - sd && test.standardScore <= mean + sd
-        ).length
-        const aboveAvgCount = testEntries.filter(([_, test]) => 
-          test.standardScore !== null && test.standardScore > mean + sd
+        const countTone = tone => testEntries.filter(([_, test]) => 
+          classifyScore(test.standardScore, 'standard', scheme)?.tone === tone
         ).length
+        const belowAvgCount = countTone('below')
+        const avgCount = countTone('average')
+        const aboveAvgCount = countTone('above')
         
         kpiData = {
-          coreLanguageScore: cls,
-          coreLanguageChange: clsChange,
-          receptiveLanguageIndex: rli,
-          receptiveChange: rliChange,
-          expressiveLanguageIndex: eli,
-          expressiveChange: eliChange,
+          // Point change, reliable change and history vs the previous assessment
+          indices: buildIndexKpis(assessments, kpiTests),
           totalTests: testEntries.length,
           belowAverageCount: belowAvgCount,
           averageCount: avgCount,
@@ -148,25 +225,22 @@ function App() {
       if (latestAssessment) {
         const testEntries = Object.entries(latestAssessment.tests || {})
         
-        const belowAverage = testEntries
-          .filter(([_, test]) => test.standardScore !== null && test.standardScore < mean - sd)
-          .map(([key, test]) => ({
-            test: test.testName || key,
-            score: test.standardScore
-          }))
-        
-        const aboveAverage = testEntries
-          .filter(([_, test]) => test.standardScore !== null && test.standardScore > mean + sd)
+        const classified = testEntries
           .map(([key, test]) => ({
             test: test.testName || key,
-            score: test.standardScore
+            score: test.standardScore,
+            band: classifyScore(test.standardScore, 'standard', scheme)
           }))
+          .filter(item => item.band)
+
+        const belowAverage = classified.filter(item => item.band.tone === 'below')
+        const aboveAverage = classified.filter(item => item.band.tone === 'above')
         
         if (belowAverage.length > 0) {
           insightsList.push({
             type: 'below-average',
             title: 'Areas Needing Support',
-            items: belowAverage.map(item => `${item.test}: ${item.score}`)
+            items: belowAverage.map(item => `${item.test}: ${item.score} (${item.band.label})`)
           })
         }
         
@@ -174,9 +248,19 @@ function App() {
           insightsList.push({
             type: 'above-average',
             title: 'Relative Strengths',
-            items: aboveAverage.map(item => `${item.test}: ${item.score}`)
+            items: aboveAverage.map(item => `${item.test}: ${item.score} (${item.band.label})`)
           })
         }
+
+        const discrepancyInsight = buildDiscrepancyInsight(latestAssessment)
+        if (discrepancyInsight) {
+          insightsList.push(discrepancyInsight)
+        }
+      }
+
+      const progressInsight = buildProgressInsight(assessments)
+      if (progressInsight) {
+        insightsList.push(progressInsight)
       }
     }
 
@@ -184,24 +268,42 @@ function App() {
       studentAssessments: assessments,
       tests: uniqueTests,
       insights: insightsList,
-      kpiMetrics: kpiData
+      kpiMetrics: kpiData,
+      studentMismatches: assessments.flatMap(assessment => assessment.entryMismatches || [])
     }
-  }, [selectedStudent, data])
+  }, [selectedStudent, data, scheme, kpiTests])
+
+  // Standard-score or GSV history per test for the trend view
+  const testHistories = useMemo(() => {
+    const field = trendMetric === 'gsv' ? 'gsv' : 'standardScore'
+    return Object.fromEntries(
+      tests.map(testKey => [testKey, getScoreHistory(studentAssessments, testKey, field)])
+    )
+  }, [tests, studentAssessments, trendMetric])
 
-  if (loading) {
+  if (view === 'import' || !activeDataset) {
     return (
-      <div className="loading-container">
-        <div className="spinner"></div>
-        <p>Loading assessment data...</p>
+      <div className="app">
+        <div className="background-logo"></div>
+        <DataImport
+          datasets={datasets}
+          activeDatasetId={activeDatasetId}
+          onImport={handleImport}
+          onSelectDataset={handleSelectDataset}
+          onCancel={activeDataset ? () => setView('dashboard') : null}
+        />
       </div>
     )
   }
 
-  if (error) {
+  if (view === 'summary') {
     return (
-      <div className="error-container">
-        <h2>Error</h2>
-        <p>{error}</p>
+      <div className="app">
+        <div className="background-logo"></div>
+        <ImportSummary
+          dataset={activeDataset}
+          onContinue={() => setView('dashboard')}
+        />
       </div>
     )
   }
@@ -210,178 +312,387 @@ function App() {
     return (
       <div className="error-container">
         <h2>No Data Available</h2>
-        <p>No student data found in the CSV file.</p>
+        <p>No student data found in {activeDataset.name}.</p>
+        <div className="header-actions">
+          <button type="button" className="header-button" onClick={() => setView('summary')}>
+            View import report
+          </button>
+          <button type="button" className="header-button" onClick={() => setView('import')}>
+            Import another file
+          </button>
+        </div>
       </div>
     )
   }
 
   return (
-    <div className="app">
-      <div className="background-logo"></div>
-
-      {/* Left sidebar tab button */}
-      <button
-        className={`insight-panel-tab ${isInsightPanelOpen ? 'panel-open' : ''}`}
-        onClick={() => setIsInsightPanelOpen(!isInsightPanelOpen)}
-        aria-label={isInsightPanelOpen ? 'Close Clinical Insight Assistant' : 'Open Clinical Insight Assistant'}
-        aria-expanded={isInsightPanelOpen}
-      >
-        <svg width="20" height="20" viewBox="0 0 20 20" fill="none" xmlns="http://www.w3.org/2000/svg">
-          {isInsightPanelOpen ? (
-            <path d="M12.5 7.5L7.5 12.5M7.5 7.5L12.5 12.5" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
-          ) : (
-            <path d="M7.5 5L12.5 10L7.5 15" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-          )}
-        </svg>
-        <span className="tab-label">Insights</span>
-      </button>
-
-      {/* Clinical Insight Assistant Sidebar */}
-      <aside className={`insight-panel-sidebar ${isInsightPanelOpen ? 'open' : ''}`}>
-        <div className="insight-panel-content">
-          <ClinicalInsightAssistant
-            student={selectedStudent}
-            assessments={studentAssessments}
-          />
-        </div>
-      </aside>
-
-      {/* Overlay when panel is open on mobile */}
-      {isInsightPanelOpen && (
-        <div 
-          className="insight-panel-overlay"
-          onClick={() => setIsInsightPanelOpen(false)}
-          aria-hidden="true"
-        />
-      )}
-
-      <main className={`app-main ${isInsightPanelOpen ? 'insight-panel-open' : ''}`}>
-        {/* Dashboard Header */}
-        <div className="dashboard-header">
-          <div className="header-title-section">
-            <h1 className="dashboard-title">CELF-P3 Assessment Dashboard</h1>
-            <p className="dashboard-subtitle">Listen & Talk</p>
-          </div>
-          <div className="header-actions">
-            <ExportButton
+    <ClassificationContext.Provider value={scheme}>
+      <div className="app">
+        <div className="background-logo"></div>
+
+        {/* Left sidebar tab button */}
+        <button
+          className={`insight-panel-tab ${isInsightPanelOpen ? 'panel-open' : ''}`}
+          onClick={() => setIsInsightPanelOpen(!isInsightPanelOpen)}
+          aria-label={isInsightPanelOpen ? 'Close Clinical Insight Assistant' : 'Open Clinical Insight Assistant'}
+          aria-expanded={isInsightPanelOpen}
+        >
+          <svg width="20" height="20" viewBox="0 0 20 20" fill="none" xmlns="http://www.w3.org/2000/svg">
+            {isInsightPanelOpen ? (
+              <path d="M12.5 7.5L7.5 12.5M7.5 7.5L12.5 12.5" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+            ) : (
+              <path d="M7.5 5L12.5 10L7.5 15" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+            )}
+          </svg>
+          <span className="tab-label">Insights</span>
+        </button>
+
+        {/* Clinical Insight Assistant Sidebar */}
+        <aside className={`insight-panel-sidebar ${isInsightPanelOpen ? 'open' : ''}`}>
+          <div className="insight-panel-content">
+            <ClinicalInsightAssistant
               student={selectedStudent}
               assessments={studentAssessments}
-              insights={insights}
             />
           </div>
-        </div>
+        </aside>
 
-        {/* Student Selector */}
-        <div className="navigation-section">
-          <StudentSwitcher
-            students={students}
-            selectedStudent={selectedStudent}
-            onStudentChange={handleStudentChange}
+        {/* Overlay when panel is open on mobile */}
+        {isInsightPanelOpen && (
+          <div 
+            className="insight-panel-overlay"
+            onClick={() => setIsInsightPanelOpen(false)}
+            aria-hidden="true"
           />
-        </div>
+        )}
 
-        {/* KPI Cards */}
-        {kpiMetrics && (
-          <div className="kpi-grid">
-            {kpiMetrics.coreLanguageScore !== null && (
-              <KPICard
-                title="Core Language Score"
-                value={kpiMetrics.coreLanguageScore}
-                change={kpiMetrics.coreLanguageChange}
-                changeType={kpiMetrics.coreLanguageChange >= 0 ? 'increase' : 'decrease'}
-                color="purple"
-              />
-            )}
-            {kpiMetrics.receptiveLanguageIndex !== null && (
-              <KPICard
-                title="Receptive Language"
-                value={kpiMetrics.receptiveLanguageIndex}
-                change={kpiMetrics.receptiveChange}
-                changeType={kpiMetrics.receptiveChange >= 0 ? 'increase' : 'decrease'}
-                color="blue"
-              />
-            )}
-            {kpiMetrics.expressiveLanguageIndex !== null && (
-              <KPICard
-                title="Expressive Language"
-                value={kpiMetrics.expressiveLanguageIndex}
-                change={kpiMetrics.expressiveChange}
-                changeType={kpiMetrics.expressiveChange >= 0 ? 'increase' : 'decrease'}
-                color="blue"
+        <main className={`app-main ${isInsightPanelOpen ? 'insight-panel-open' : ''}`}>
+          {/* Dashboard Header */}
+          <div className="dashboard-header">
+            <div className="header-title-section">
+              <h1 className="dashboard-title">CELF-P3 Assessment Dashboard</h1>
+              <p className="dashboard-subtitle">Listen & Talk · {activeDataset.name}</p>
+            </div>
+            <div className="header-actions">
+              {datasets.length > 1 && (
+                <select
+                  className="dataset-select"
+                  value={activeDatasetId}
+                  onChange={(e) => handleSelectDataset(e.target.value)}
+                  aria-label="Active dataset"
+                >
+                  {datasets.map(dataset => (
+                    <option key={dataset.id} value={dataset.id}>{dataset.name}</option>
+                  ))}
+                </select>
+              )}
+              <button type="button" className="header-button" onClick={() => setView('import')}>
+                Import Data
+              </button>
+              <button type="button" className="header-button" onClick={() => setView('summary')}>
+                Import Report
+                {activeDataset.validation?.errorCount > 0 && (
+                  <span className="header-button-count">{activeDataset.validation.errorCount}</span>
+                )}
+              </button>
+              <button type="button" className="header-button" onClick={() => setView('compare')}>
+                Compare
+              </button>
+              <button type="button" className="header-button" onClick={() => setView('cohort')}>
+                Cohort
+              </button>
+              <button type="button" className="header-button" onClick={() => setView('knowledge')}>
+                Knowledge Base
+              </button>
+              <button type="button" className="header-button" onClick={() => setView('reverification')}>
+                Re-verify
+                {entryMismatches.length > 0 && (
+                  <span className="header-button-count">{entryMismatches.length}</span>
+                )}
+              </button>
+              {contacts.length > 0 && (
+                <select
+                  className="dataset-select"
+                  value={activeCaseload || ''}
+                  onChange={(e) => handleCaseloadChange(e.target.value)}
+                  aria-label="Clinician caseload"
+                >
+                  <option value="">All caseloads</option>
+                  {contacts.map(contact => (
+                    <option key={contact.code} value={contact.code}>
+                      Caseload: {contact.code} ({contact.studentCount})
+                    </option>
+                  ))}
+                </select>
+              )}
+              {CLASSIFICATION_SCHEMES.length > 1 && (
+                <select
+                  className="dataset-select"
+                  value={schemeId}
+                  onChange={(e) => handleSchemeChange(e.target.value)}
+                  aria-label="Classification scheme"
+                >
+                  {CLASSIFICATION_SCHEMES.map(option => (
+                    <option key={option.id} value={option.id}>Bands: {option.label}</option>
+                  ))}
+                </select>
+              )}
+              <ExportButton
+                student={selectedStudent}
+                assessments={studentAssessments}
+                insights={insights}
+                confidenceLevel={confidenceLevel}
+                caseload={activeCaseload ? { contact: activeCaseload, summary: caseloadSummary } : null}
               />
-            )}
-            <KPICard
-              title="Tests Assessed"
-              value={kpiMetrics.totalTests}
-              color="green"
+            </div>
+          </div>
+
+          {view === 'reverification' ? (
+            <ReverificationList
+              items={entryMismatches}
+              datasetName={activeDataset.name}
+              onSelectStudent={handleOpenStudent}
+              onClose={() => setView('dashboard')}
             />
-            <KPICard
-              title="Below Average"
-              value={kpiMetrics.belowAverageCount}
-              color="red"
+          ) : view === 'compare' ? (
+            <StudentComparison
+              students={students}
+              records={data}
+              kpiTests={kpiTests}
+              initialStudentIds={[selectedStudent.id]}
+              confidenceLevel={confidenceLevel}
+              onSelectStudent={handleOpenStudent}
+              onClose={() => setView('dashboard')}
             />
-            <KPICard
-              title="Above Average"
-              value={kpiMetrics.aboveAverageCount}
-              color="green"
+          ) : view === 'knowledge' ? (
+            <KnowledgeBaseEditor
+              records={data}
+              onSelectStudent={handleOpenStudent}
+              onClose={() => setView('dashboard')}
             />
-          </div>
-        )}
+          ) : view === 'cohort' ? (
+            <CohortDashboard
+              records={allRecords}
+              datasetName={activeDataset.name}
+              onClose={() => setView('dashboard')}
+            />
+          ) : (
+            <>
+              {/* Caseload summary (caseload mode only) */}
+              {activeCaseload && (
+                <CaseloadSummary
+                  contact={activeCaseload}
+                  summary={caseloadSummary}
+                  onSelectStudent={handleStudentChange}
+                />
+              )}
 
-        <div className="dashboard-content">
-          <div className="charts-section">
-            <div className="section-header">
-              <h2 className="section-title">
-                Assessment Results for {selectedStudent.name}
-              </h2>
-            </div>
-            
-            {tests.length === 0 ? (
-              <div className="no-data-message">
-                <p>No test scores available for this student.</p>
+              {/* Student Selector */}
+              <div className="navigation-section">
+                <StudentSwitcher
+                  students={students}
+                  selectedStudent={selectedStudent}
+                  onStudentChange={handleStudentChange}
+                />
               </div>
-            ) : (
-              <div className="charts-grid">
-                {tests.map(testName => {
-                  // Get the most recent assessment for this test
-                  const testAssessments = studentAssessments
-                    .filter(a => a.tests[testName])
-                    .sort((a, b) => new Date(b.date) - new Date(a.date))
+
+              {/* KPI Cards */}
+              {kpiMetrics && (
+                <KPISelector selected={kpiTests} onChange={handleKpiTestsChange} />
+              )}
+              {kpiMetrics && (
+                <div className="kpi-grid">
+                  {kpiMetrics.indices.map(kpi => (
+                    <KPICard
+                      key={kpi.test}
+                      title={kpi.title}
+                      value={kpi.value}
+                      change={kpi.change}
+                      reliableChange={kpi.reliableChange}
+                      history={kpi.history}
+                      color={kpi.color}
+                    />
+                  ))}
+                  <KPICard
+                    title="Tests Assessed"
+                    value={kpiMetrics.totalTests}
+                    color="green"
+                  />
+                  <KPICard
+                    title="Below Average"
+                    value={kpiMetrics.belowAverageCount}
+                    color="red"
+                  />
+                  <KPICard
+                    title="Above Average"
+                    value={kpiMetrics.aboveAverageCount}
+                    color="green"
+                  />
+                </div>
+              )}
+
+              <div className="dashboard-content">
+                <div className="charts-section">
+                  <div className="section-header">
+                    <h2 className="section-title">
+                      Assessment Results for {selectedStudent.name}
+                    </h2>
+                    {studentMismatches.length > 0 && (
+                      <button
+                        type="button"
+                        className="reverify-badge"
+                        onClick={() => setView('reverification')}
+                        title="Entered scores differ from stored scores"
+                      >
+                        ⚠ {studentMismatches.length} score{studentMismatches.length !== 1 ? 's' : ''} need re-verification
+                      </button>
+                    )}
+                    <div className="chart-mode-toggle" role="group" aria-label="Chart view">
+                      <button
+                        type="button"
+                        className={`chart-mode-btn ${chartMode === 'latest' ? 'active' : ''}`}
+                        aria-pressed={chartMode === 'latest'}
+                        onClick={() => setChartMode('latest')}
+                      >
+                        Latest
+                      </button>
+                      <button
+                        type="button"
+                        className={`chart-mode-btn ${chartMode === 'trend' ? 'active' : ''}`}
+                        aria-pressed={chartMode === 'trend'}
+                        onClick={() => setChartMode('trend')}
+                      >
+                        Trends
+                      </button>
+                    </div>
+                    {chartMode === 'latest' && (
+                      <div className="chart-mode-toggle" role="group" aria-label="Confidence level">
+                        {CONFIDENCE_LEVELS.map(level => (
+                          <button
+                            key={level}
+                            type="button"
+                            className={`chart-mode-btn ${confidenceLevel === level ? 'active' : ''}`}
+                            aria-pressed={confidenceLevel === level}
+                            onClick={() => setConfidenceLevel(level)}
+                          >
+                            {level}% CI
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                    {chartMode === 'trend' && (
+                      <div className="chart-mode-toggle" role="group" aria-label="Trend measure">
+                        <button
+                          type="button"
+                          className={`chart-mode-btn ${trendMetric === 'standard' ? 'active' : ''}`}
+                          aria-pressed={trendMetric === 'standard'}
+                          onClick={() => setTrendMetric('standard')}
+                        >
+                          Standard Score
+                        </button>
+                        <button
+                          type="button"
+                          className={`chart-mode-btn ${trendMetric === 'gsv' ? 'active' : ''}`}
+                          aria-pressed={trendMetric === 'gsv'}
+                          onClick={() => setTrendMetric('gsv')}
+                          title="Growth Scale Value: absolute skill growth, subtests only"
+                        >
+                          GSV
+                        </button>
+                      </div>
+                    )}
+                  </div>
+
+                  <AssessmentDetails assessments={studentAssessments} />
+
+                  <AssessmentDiff student={selectedStudent} assessments={studentAssessments} />
+
+                  {chartMode === 'latest' && studentAssessments.length > 0 && (
+                    <>
+                      <ScaledProfileChart
+                        assessment={studentAssessments[0]}
+                        studentName={selectedStudent.name}
+                        confidenceLevel={confidenceLevel}
+                      />
+                      <DiscrepancyMatrix assessment={studentAssessments[0]} />
+                    </>
+                  )}
+            
+                  {tests.length === 0 ? (
+                    <div className="no-data-message">
+                      <p>No test scores available for this student.</p>
+                    </div>
+                  ) : (
+                    <div className="charts-grid">
+                      {tests.map(testName => {
+                        // Get the most recent assessment for this test
+                        const testAssessments = studentAssessments
+                          .filter(a => a.tests[testName])
+                          .sort((a, b) => new Date(b.date) - new Date(a.date))
                   
-                  if (testAssessments.length === 0) return null
+                        if (testAssessments.length === 0) return null
+
+                        // Indices have no GSV
+                        if (chartMode === 'trend' && trendMetric === 'gsv' && !SUBTEST_PREFIXES.includes(testName)) {
+                          return null
+                        }
                   
-                  const latestAssessment = testAssessments[0]
-                  const testData = latestAssessment.tests[testName]
+                        const latestAssessment = testAssessments[0]
+                        const testData = latestAssessment.tests[testName]
                   
-                  // Get full test name from testData, fallback to TEST_NAMES mapping
-                  const fullTestName = testData.testName || TEST_NAMES[testName] || testName
+                        // Get full test name from testData, fallback to TEST_NAMES mapping
+                        const fullTestName = testData.testName || TEST_NAMES[testName] || testName
+                        const mismatch = latestAssessment.entryMismatches?.find(m => m.test === testName)
                   
-                  return (
-                    <div key={testName} className="chart-container">
-                      <h3 className="chart-title">{fullTestName}</h3>
-                      <ScoreChart
-                        testName={fullTestName}
-                        score={testData.standardScore}
-                        percentile={testData.percentile}
-                        date={latestAssessment.date}
-                        age={latestAssessment.age}
-                      />
+                        return (
+                          <div key={testName} className="chart-container">
+                            <h3 className="chart-title">
+                              {fullTestName}
+                              {mismatch && (
+                                <span
+                                  className="reverify-badge chart-reverify-badge"
+                                  title={`Entered ${mismatch.entered}, stored ${mismatch.stored ?? 'missing'}`}
+                                >
+                                  ⚠ Re-verify
+                                </span>
+                              )}
+                            </h3>
+                            {chartMode === 'trend' ? (
+                              <TrendChart
+                                testName={fullTestName}
+                                points={testHistories[testName]}
+                                metric={trendMetric}
+                              />
+                            ) : (
+                              <ScoreChart
+                                testName={fullTestName}
+                                testKey={testName}
+                                score={testData.standardScore}
+                                percentile={testData.percentile}
+                                date={latestAssessment.date}
+                                age={latestAssessment.age}
+                                confidenceLevel={confidenceLevel}
+                              />
+                            )}
+                          </div>
+                        )
+                      })}
                     </div>
-                  )
-                })}
-              </div>
-            )}
-          </div>
+                  )}
+                </div>
 
-          <aside className="insights-section">
-            <InsightsPanel
-              student={selectedStudent}
-              assessments={studentAssessments}
-            />
-          </aside>
-        </div>
-      </main>
-    </div>
+                <aside className="insights-section">
+                  <InsightsPanel
+                    student={selectedStudent}
+                    assessments={studentAssessments}
+                  />
+                </aside>
+              </div>
+            </>
+          )}
+        </main>
+      </div>
+    </ClassificationContext.Provider>
   )
 }
 
@@ -0,0 +1,226 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { TEST_NAMES } from '../utils/dataParser'
+import { getAgeGaps, getLaggingSkills, formatAgeGap } from '../utils/ageGapUtils'
+import { deriveComposites, hasConversionTables, COMPOSITE_STATUS } from '../utils/compositeDerivation'
+import './AssessmentDetails.css'
+
+// Record metadata and per-subtest detail table for one administration
+
+const COMPOSITE_STATUS_LABELS = {
+  [COMPOSITE_STATUS.MATCH]: 'Matches',
+  [COMPOSITE_STATUS.MISMATCH]: 'Mismatch',
+  [COMPOSITE_STATUS.INCOMPLETE]: 'Subtests missing',
+  [COMPOSITE_STATUS.NO_CONVERSION]: 'Not in table',
+  [COMPOSITE_STATUS.NO_NORMS]: 'No norms table',
+  [COMPOSITE_STATUS.NO_AGE_BAND]: 'Age unknown'
+}
+
+const ADMINISTRATION_LABELS = {
+  'in-person': 'In person',
+  remote: 'Remotely'
+}
+
+/**
+ * Describe how and by whom an assessment was administered
+ */
+function formatAdministration(administeredBy) {
+  if (!administeredBy || !administeredBy.raw) return 'Not recorded'
+  if (administeredBy.mode) return ADMINISTRATION_LABELS[administeredBy.mode]
+  return `By ${administeredBy.examiner}`
+}
+
+/**
+ * Render a record form reference as a link when it looks like a URL
+ */
+function RecordFormLink({ value }) {
+  if (!value) return <span>Not scanned</span>
+  if (/^https?:\/\//i.test(value)) {
+    return (
+      <a href={value} target="_blank" rel="noopener noreferrer">View scan</a>
+    )
+  }
+  return <span>{value}</span>
+}
+
+/**
+ * Assessment Details Component
+ * Shows the full record metadata (status, source, administration, examiner comments)
+ * for any of a student's assessments, defaulting to the most recent one.
+ */
+function AssessmentDetails({ assessments }) {
+  const sortedAssessments = useMemo(() => (
+    [...(assessments || [])].sort((a, b) => new Date(b.date) - new Date(a.date))
+  ), [assessments])
+
+  const [selectedIndex, setSelectedIndex] = useState(0)
+
+  // Reset to the latest assessment when the student changes
+  useEffect(() => {
+    setSelectedIndex(0)
+  }, [assessments])
+
+  const assessment = sortedAssessments[selectedIndex] || sortedAssessments[0]
+  if (!assessment) return null
+
+  const subtests = Object.entries(assessment.tests || {})
+    .filter(([, test]) => test.scaledScore !== null)
+
+  const ageGaps = Object.fromEntries(getAgeGaps(assessment).map(item => [item.test, item]))
+  const laggingSkills = getLaggingSkills(assessment)
+  const composites = deriveComposites(assessment)
+    .filter(result => result.status !== COMPOSITE_STATUS.NOT_STORED)
+
+  const metadata = [
+    { label: 'Status', value: assessment.status || 'Unknown' },
+    { label: 'Contact', value: assessment.contact || '—' },
+    { label: 'Age at testing', value: assessment.age !== null ? `${assessment.age} months` : '—' },
+    { label: 'Administered', value: formatAdministration(assessment.administeredBy) },
+    { label: 'Record source', value: assessment.source || '—' },
+    { label: 'Date recorded', value: assessment.dateRecorded ? assessment.dateRecorded.toLocaleDateString() : '—' }
+  ]
+
+  return (
+    <section className="assessment-details" aria-labelledby="assessment-details-title">
+      <div className="assessment-details-header">
+        <h3 id="assessment-details-title" className="assessment-details-title">Assessment Details</h3>
+        {sortedAssessments.length > 1 ? (
+          <select
+            className="assessment-details-select"
+            value={selectedIndex}
+            onChange={(e) => setSelectedIndex(Number(e.target.value))}
+            aria-label="Assessment date"
+          >
+            {sortedAssessments.map((a, index) => (
+              <option key={index} value={index}>
+                {a.date.toLocaleDateString()}{index === 0 ? ' (latest)' : ''}
+              </option>
+            ))}
+          </select>
+        ) : (
+          <span className="assessment-details-date">{assessment.date.toLocaleDateString()}</span>
+        )}
+      </div>
+
+      <dl className="assessment-meta-grid">
+        {metadata.map(item => (
+          <div key={item.label} className="assessment-meta-item">
+            <dt>{item.label}</dt>
+            <dd>{item.value}</dd>
+          </div>
+        ))}
+        <div className="assessment-meta-item">
+          <dt>Record form</dt>
+          <dd><RecordFormLink value={assessment.scannedRecordForm} /></dd>
+        </div>
+      </dl>
+
+      {subtests.length > 0 && (
+        <div className="assessment-subtests-wrapper">
+          <table className="assessment-subtests">
+            <thead>
+              <tr>
+                <th>Subtest</th>
+                <th>Raw</th>
+                <th>Scaled</th>
+                <th>Age Equiv.</th>
+                <th>Age Gap</th>
+                <th>GSV</th>
+                <th>Examiner comments</th>
+              </tr>
+            </thead>
+            <tbody>
+              {subtests.map(([key, test]) => (
+                <tr key={key}>
+                  <td>{test.testName || TEST_NAMES[key] || key}</td>
+                  <td>{test.rawScore ?? '—'}</td>
+                  <td>{test.scaledScore ?? '—'}</td>
+                  <td>{test.ageEquivalent?.display ?? '—'}</td>
+                  <td className={ageGaps[key]?.gap < 0 ? 'age-gap-behind' : undefined}>
+                    {formatAgeGap(ageGaps[key]?.gap, ageGaps[key]?.qualifier)}
+                  </td>
+                  <td>{test.gsv ?? '—'}</td>
+                  <td className="assessment-comments">
+                    {test.comments.length === 0 ? (
+                      <span className="assessment-no-comments">—</span>
+                    ) : (
+                      <ul>
+                        {test.comments.map(comment => (
+                          <li key={comment.item}>
+                            <span className="comment-item">Item {comment.item}:</span> {comment.text}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {composites.length > 0 && !hasConversionTables() && (
+        <div className="composite-check">
+          <h4 className="lagging-skills-title">Composite check</h4>
+          <p className="composite-inactive">
+            Not yet active: the sum-of-scaled conversion tables have not been entered from the CELF-P3 norms, so stored indices are shown as recorded.
+          </p>
+        </div>
+      )}
+
+      {composites.length > 0 && hasConversionTables() && (
+        <div className="assessment-subtests-wrapper composite-check">
+          <h4 className="lagging-skills-title">
+            Composite check{composites[0].ageBand ? ` (ages ${composites[0].ageBand})` : ''}
+          </h4>
+          <table className="assessment-subtests">
+            <thead>
+              <tr>
+                <th>Index</th>
+                <th>Subtests</th>
+                <th>Sum of scaled</th>
+                <th>Recomputed</th>
+                <th>Stored</th>
+                <th>Check</th>
+              </tr>
+            </thead>
+            <tbody>
+              {composites.map(result => (
+                <tr key={result.index}>
+                  <td>{TEST_NAMES[result.index] || result.index}</td>
+                  <td>{result.subtests.join(' + ') || '—'}</td>
+                  <td>{result.sumOfScaled ?? '—'}</td>
+                  <td>{result.derived ?? '—'}</td>
+                  <td>{result.stored ?? '—'}</td>
+                  <td className={`composite-status composite-status-${result.status}`}>
+                    {COMPOSITE_STATUS_LABELS[result.status]}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {laggingSkills.length > 0 && (
+        <div className="lagging-skills">
+          <h4 className="lagging-skills-title">
+            Skills lagging behind age ({assessment.age} months)
+          </h4>
+          <ol className="lagging-skills-list">
+            {laggingSkills.map(item => (
+              <li key={item.test}>
+                <span className="lagging-skill-name">{item.testName}</span>
+                <span className="lagging-skill-gap">
+                  {item.ageEquivalent.display} · {formatAgeGap(item.gap, item.qualifier)}
+                </span>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default AssessmentDetails
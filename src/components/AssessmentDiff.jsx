@@ -0,0 +1,140 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { diffAssessments, BAND_TRANSITION } from '../utils/assessmentDiff'
+import { CHANGE_STATUS } from '../utils/progressEngine'
+import { exportAssessmentDiff } from '../utils/exportUtils'
+import { useClassificationScheme } from '../utils/classificationContext'
+import './AssessmentDiff.css'
+
+// Assessment-to-assessment diff for one student
+
+const TRANSITION_ICONS = {
+  [BAND_TRANSITION.UP]: '↑',
+  [BAND_TRANSITION.DOWN]: '↓'
+}
+
+/**
+ * Date picker for one side of the diff
+ */
+function DateSelect({ label, value, assessments, onChange }) {
+  return (
+    <label className="assessment-diff-picker">
+      <span className="assessment-diff-picker-label">{label}</span>
+      <select
+        className="assessment-details-select"
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+      >
+        {assessments.map((a, index) => (
+          <option key={index} value={index}>
+            {a.date.toLocaleDateString()}{index === 0 ? ' (latest)' : ''}
+          </option>
+        ))}
+      </select>
+    </label>
+  )
+}
+
+/**
+ * Assessment Diff Component
+ * Every index and subtest on two chosen dates: old and new scores, point
+ * change, band transition and reliable-change flag; exportable as CSV.
+ */
+function AssessmentDiff({ student, assessments }) {
+  const scheme = useClassificationScheme()
+  const sortedAssessments = useMemo(() => (
+    [...(assessments || [])].sort((a, b) => new Date(b.date) - new Date(a.date))
+  ), [assessments])
+
+  // Indices into sortedAssessments (newest first); default previous → latest
+  const [fromIndex, setFromIndex] = useState(1)
+  const [toIndex, setToIndex] = useState(0)
+
+  useEffect(() => {
+    setFromIndex(1)
+    setToIndex(0)
+  }, [assessments])
+
+  const from = sortedAssessments[fromIndex]
+  const to = sortedAssessments[toIndex]
+  const rows = useMemo(() => diffAssessments(from, to, scheme), [from, to, scheme])
+
+  if (sortedAssessments.length < 2) return null
+
+  const transitions = rows.filter(row => row.bandTransition && row.bandTransition !== BAND_TRANSITION.SAME).length
+  const reliable = rows.filter(row => row.status && row.status !== CHANGE_STATUS.NO_CHANGE).length
+
+  return (
+    <section className="assessment-details assessment-diff" aria-labelledby="assessment-diff-title">
+      <div className="assessment-details-header">
+        <h3 id="assessment-diff-title" className="assessment-details-title">Compare Assessments</h3>
+        <div className="assessment-diff-controls">
+          <DateSelect label="From" value={fromIndex} assessments={sortedAssessments} onChange={setFromIndex} />
+          <DateSelect label="To" value={toIndex} assessments={sortedAssessments} onChange={setToIndex} />
+          <button
+            type="button"
+            className="assessment-diff-export"
+            onClick={() => exportAssessmentDiff(student, from, to, rows)}
+            disabled={fromIndex === toIndex || rows.length === 0}
+          >
+            Export CSV
+          </button>
+        </div>
+      </div>
+
+      {fromIndex === toIndex ? (
+        <p className="assessment-diff-empty">Pick two different assessment dates.</p>
+      ) : (
+        <>
+          <p className="assessment-diff-summary">
+            {transitions} band transition{transitions !== 1 ? 's' : ''} · {reliable} reliable change{reliable !== 1 ? 's' : ''}
+            {from.date > to.date && ' · "From" is the later date, so changes run backwards in time'}
+          </p>
+          <div className="assessment-subtests-wrapper">
+            <table className="assessment-subtests assessment-diff-table">
+              <thead>
+                <tr>
+                  <th>Test</th>
+                  <th>{from.date.toLocaleDateString()}</th>
+                  <th>{to.date.toLocaleDateString()}</th>
+                  <th>Change</th>
+                  <th>Band</th>
+                  <th>Reliable change</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={row.test} className={row.kind === 'index' ? 'assessment-diff-index' : undefined}>
+                    <td title={row.testName}>
+                      {row.testName}
+                      <span className="assessment-diff-kind">{row.kind === 'subtest' ? 'scaled' : 'standard'}</span>
+                    </td>
+                    <td>{row.before ?? '—'}</td>
+                    <td>{row.after ?? '—'}</td>
+                    <td className={row.change > 0 ? 'assessment-diff-up' : row.change < 0 ? 'assessment-diff-down' : undefined}>
+                      {row.change === null ? '—' : `${row.change > 0 ? '+' : ''}${row.change}`}
+                    </td>
+                    <td className={`assessment-diff-band assessment-diff-band-${row.bandTransition || 'none'}`}>
+                      {row.bandTransition === null
+                        ? `${row.bandBefore?.label || '—'} → ${row.bandAfter?.label || '—'}`
+                        : row.bandTransition === BAND_TRANSITION.SAME
+                          ? row.bandAfter.label
+                          : `${row.bandBefore.label} → ${row.bandAfter.label} ${TRANSITION_ICONS[row.bandTransition]}`}
+                    </td>
+                    <td
+                      className={row.status ? `assessment-diff-rc assessment-diff-rc-${row.status}` : undefined}
+                      title={row.rci !== null ? `RCI ${row.rci}` : undefined}
+                    >
+                      {row.label || '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </section>
+  )
+}
+
+export default AssessmentDiff
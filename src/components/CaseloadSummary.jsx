@@ -0,0 +1,88 @@
+import React from 'react'
+import { getBands, NO_DATA_LABEL } from '../utils/classification'
+import { useClassificationScheme } from '../utils/classificationContext'
+import './CaseloadSummary.css'
+
+// Summary of one clinician's caseload (selected by Contact code)
+
+/**
+ * Caseload Summary Component
+ * Shows student count, latest CLS distribution and students with below-average indices
+ */
+function CaseloadSummary({ contact, summary, onSelectStudent }) {
+  const scheme = useClassificationScheme()
+  if (!summary) return null
+
+  // Bands of the chosen classification scheme, lowest first
+  const bandColors = Object.fromEntries(getBands(scheme).map(band => [band.label, band.color]))
+  const bands = [...Object.keys(bandColors), NO_DATA_LABEL].filter(band => summary.clsDistribution[band])
+  const maxCount = Math.max(1, ...bands.map(band => summary.clsDistribution[band]))
+
+  return (
+    <section className="caseload-summary" aria-labelledby="caseload-summary-title">
+      <div className="caseload-summary-header">
+        <h2 id="caseload-summary-title" className="caseload-summary-title">
+          Caseload: {contact}
+        </h2>
+        <span className="caseload-summary-meta">
+          {summary.studentCount} student{summary.studentCount !== 1 ? 's' : ''} · {summary.assessmentCount} assessment{summary.assessmentCount !== 1 ? 's' : ''}
+        </span>
+      </div>
+
+      <div className="caseload-summary-grid">
+        <div className="caseload-card">
+          <h3 className="caseload-card-title">Latest Core Language Score</h3>
+          {bands.length === 0 ? (
+            <p className="caseload-empty">No CLS scores recorded.</p>
+          ) : (
+            <ul className="caseload-distribution">
+              {bands.map(band => (
+                <li key={band} className="caseload-distribution-row">
+                  <span className="caseload-band-label">{band}</span>
+                  <span className="caseload-bar-track">
+                    <span
+                      className={`caseload-bar ${band === NO_DATA_LABEL ? 'caseload-bar-no-data' : ''}`}
+                      style={{
+                        width: `${(summary.clsDistribution[band] / maxCount) * 100}%`,
+                        background: bandColors[band]
+                      }}
+                    />
+                  </span>
+                  <span className="caseload-band-count">{summary.clsDistribution[band]}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="caseload-card">
+          <h3 className="caseload-card-title">
+            Below-Average Indices ({summary.belowAverageStudents.length})
+          </h3>
+          {summary.belowAverageStudents.length === 0 ? (
+            <p className="caseload-empty">No students with indices in a below-average band.</p>
+          ) : (
+            <ul className="caseload-student-list">
+              {summary.belowAverageStudents.map(student => (
+                <li key={student.id}>
+                  <button
+                    type="button"
+                    className="caseload-student"
+                    onClick={() => onSelectStudent(student.id)}
+                  >
+                    <span className="caseload-student-name">{student.name}</span>
+                    <span className="caseload-student-indices">
+                      {student.indices.map(index => `${index.test} ${index.score}`).join(' · ')}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </section>
+  )
+}
+
+export default CaseloadSummary
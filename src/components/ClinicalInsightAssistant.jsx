@@ -1,8 +1,56 @@
-import React, { useState, useMemo } from 'react'
-import { retrieveAllInterpretations } from '../retrievalEngine/retrievalEngine'
+import React, { useState, useMemo, useSyncExternalStore } from 'react'
+import { retrieveAllInterpretations, searchInterpretations, findNearMisses } from '../retrievalEngine/retrievalEngine'
 import { assembleCompleteReport } from '../insightAssembler/insightAssembler'
+import { subscribeToPublished, getPublishedVersion } from '../knowledgeBase/kbStore'
+import { LANGUAGES, DEFAULT_LANGUAGE, loadLanguage, saveLanguage, translate, getTestLabel, getLocalizedBandLabel } from '../utils/languageUtils'
+import { printAudienceReport } from '../utils/exportUtils'
+import { useClassificationScheme } from '../utils/classificationContext'
+import RetrievalTrace from './RetrievalTrace'
 import './ClinicalInsightAssistant.css'
 
+const AUDIENCE_OPTIONS = [
+  { id: 'clinician', label: 'Clinician' },
+  { id: 'family', label: 'Family' },
+  { id: 'educator', label: 'Teacher' }
+]
+
+// Print button label for audiences with a printable report
+const PRINT_LABEL_KEYS = {
+  family: 'printFamilyReport',
+  educator: 'printEducatorReport'
+}
+
+/**
+ * One retrieved interpretation: title, summary, details, recommendations and source
+ */
+function InsightCard({ insight, recommendationsLabel, language }) {
+  return (
+    <div className="insight-card">
+      <h5 className="insight-title">{insight.title}</h5>
+      <p className="insight-summary">{insight.summary}</p>
+      {insight.details && (
+        <p className="insight-details">{insight.details}</p>
+      )}
+
+      {insight.recommendations && insight.recommendations.length > 0 && (
+        <div className="insight-recommendations">
+          <strong>{recommendationsLabel}:</strong>
+          <ul>
+            {insight.recommendations.map((rec, j) => (
+              <li key={j}>{rec}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="insight-source">
+        <span className="source-label">{translate('source', language)}:</span>
+        <span className="source-text">{insight.source}</span>
+      </div>
+    </div>
+  )
+}
+
 /**
  * Clinical Insight Assistant (RAG Preview)
  * 
@@ -16,11 +64,31 @@ import './ClinicalInsightAssistant.css'
  * - Add LLM for natural language synthesis
  * - Implement conversational interface
  * 
- * Supports both clinician and family audience modes
+ * Supports clinician, family and educator (teacher) audience modes; family
+ * insights can be shown in another language, and family and teacher insights
+ * can be printed. Free-text questions are answered offline by lexical search
+ * over the knowledge base, ranked with the student's score-based matches.
  */
 function ClinicalInsightAssistant({ student, assessments }) {
+  const scheme = useClassificationScheme()
+  // Retrieval reads the published knowledge base; its version refreshes the results below
+  const kbVersion = useSyncExternalStore(subscribeToPublished, getPublishedVersion)
   const [audience, setAudience] = useState('clinician')
+  const [familyLanguage, setFamilyLanguage] = useState(loadLanguage)
   const [selectedQuestion, setSelectedQuestion] = useState(null)
+  const [questionText, setQuestionText] = useState('')
+  const [searchQuery, setSearchQuery] = useState('')
+
+  // Only family-facing content is translated
+  const language = audience === 'family' ? familyLanguage : DEFAULT_LANGUAGE
+
+  // Teacher-facing recommendations are classroom accommodations
+  const recommendationsLabel = translate(audience === 'educator' ? 'accommodations' : 'recommendations', language)
+
+  const handleLanguageChange = (code) => {
+    setFamilyLanguage(code)
+    saveLanguage(code)
+  }
 
   // Preset questions for quick access
   const presetQuestions = [
@@ -30,28 +98,68 @@ function ClinicalInsightAssistant({ student, assessments }) {
     { id: 'comparison', label: 'Receptive vs Expressive', description: 'Compare understanding and speaking' }
   ]
 
-  // Retrieve and assemble insights
-  const report = useMemo(() => {
+  // Retrieve all matching interpretations, each with its match trace
+  const retrievedEntries = useMemo(() => {
     if (!student || !assessments || assessments.length === 0) {
-      return null
+      return []
     }
 
-    // Retrieve all matching interpretations
-    const retrievedEntries = retrieveAllInterpretations({
+    return retrieveAllInterpretations({
       assessments,
-      audience
+      audience,
+      language,
+      scheme
     })
+  }, [student, assessments, audience, language, scheme, kbVersion])
+
+  // Entries that were nearly retrieved, for the retrieval trace
+  const nearMisses = useMemo(() => {
+    if (!assessments || assessments.length === 0) return []
+    return findNearMisses({ assessments, audience, scheme })
+  }, [assessments, audience, scheme, kbVersion])
+
+  // Assemble insights
+  const report = useMemo(() => {
+    if (!student || !assessments || assessments.length === 0) {
+      return null
+    }
 
     // Assemble into structured report
     const assembledReport = assembleCompleteReport({
       student,
       assessments,
       allRetrievedEntries: retrievedEntries,
-      audience
+      audience,
+      language,
+      scheme
     })
 
     return assembledReport
-  }, [student, assessments, audience])
+  }, [student, assessments, retrievedEntries, audience, language, scheme])
+
+  // Free-text question results
+  const searchResults = useMemo(() => {
+    if (!searchQuery || !assessments || assessments.length === 0) return null
+
+    return searchInterpretations({
+      query: searchQuery,
+      assessments,
+      audience,
+      language,
+      scheme
+    })
+  }, [searchQuery, assessments, audience, language, scheme, kbVersion])
+
+  const handleAsk = (e) => {
+    e.preventDefault()
+    setSearchQuery(questionText.trim())
+    setSelectedQuestion(null)
+  }
+
+  const handleSelectQuestion = (id) => {
+    setSelectedQuestion(selectedQuestion === id ? null : id)
+    setSearchQuery('')
+  }
 
   // Filter insights based on selected question
   const displayedInsights = useMemo(() => {
@@ -112,22 +220,51 @@ function ClinicalInsightAssistant({ student, assessments }) {
       <div className="audience-selector">
         <label className="audience-label">Audience:</label>
         <div className="audience-buttons">
+          {AUDIENCE_OPTIONS.map(option => (
+            <button
+              key={option.id}
+              type="button"
+              className={`audience-btn ${audience === option.id ? 'active' : ''}`}
+              onClick={() => setAudience(option.id)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Language selector (family audience) and printable report (family and teacher) */}
+      {PRINT_LABEL_KEYS[audience] && (
+        <div className="audience-selector">
+          {audience === 'family' && LANGUAGES.length > 1 && (
+            <>
+              <label className="audience-label">Language:</label>
+              <div className="audience-buttons">
+                {LANGUAGES.map(option => (
+                  <button
+                    key={option.code}
+                    type="button"
+                    className={`audience-btn ${familyLanguage === option.code ? 'active' : ''}`}
+                    onClick={() => handleLanguageChange(option.code)}
+                    lang={option.code}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </>
+          )}
           <button
             type="button"
-            className={`audience-btn ${audience === 'clinician' ? 'active' : ''}`}
-            onClick={() => setAudience('clinician')}
-          >
-            Clinician
-          </button>
-          <button
-            type="button"
-            className={`audience-btn ${audience === 'family' ? 'active' : ''}`}
-            onClick={() => setAudience('family')}
+            className="audience-report-btn"
+            onClick={() => printAudienceReport(student, assessments, report)}
+            disabled={!report || report.testInsights.length === 0}
+            lang={language}
           >
-            Family
+            {translate(PRINT_LABEL_KEYS[audience], language)}
           </button>
         </div>
-      </div>
+      )}
 
       {/* Preset questions */}
       <div className="preset-questions">
@@ -138,7 +275,7 @@ function ClinicalInsightAssistant({ student, assessments }) {
               key={q.id}
               type="button"
               className={`preset-question ${selectedQuestion === q.id ? 'active' : ''}`}
-              onClick={() => setSelectedQuestion(selectedQuestion === q.id ? null : q.id)}
+              onClick={() => handleSelectQuestion(q.id)}
             >
               <span className="question-label">{q.label}</span>
               <span className="question-desc">{q.description}</span>
@@ -147,13 +284,83 @@ function ClinicalInsightAssistant({ student, assessments }) {
         </div>
       </div>
 
+      {/* Free-text question */}
+      <form className="ask-question" onSubmit={handleAsk}>
+        <label className="questions-label" htmlFor="assistant-question">{translate('askQuestion', language)}:</label>
+        <div className="ask-question-row">
+          <input
+            id="assistant-question"
+            type="search"
+            className="ask-question-input"
+            value={questionText}
+            onChange={(e) => {
+              setQuestionText(e.target.value)
+              if (!e.target.value.trim()) setSearchQuery('')
+            }}
+            placeholder={translate('askPlaceholder', language)}
+          />
+          <button type="submit" className="ask-question-btn" disabled={!questionText.trim()}>
+            {translate('ask', language)}
+          </button>
+        </div>
+      </form>
+
+      {/* Question results */}
+      {searchResults && (
+        <div className="insights-display" lang={language}>
+          {searchResults.length === 0 ? (
+            <div className="no-insights">
+              <p>{translate('noInsights', language)}</p>
+              <p className="hint">{translate('searchHint', language)}</p>
+            </div>
+          ) : (
+            <>
+              {searchResults.map(({ entry, matchesStudent, studentScore }) => (
+                <div key={entry.id} className="insight-section">
+                  <div className="insight-section-header">
+                    <h4 className="insight-test-name">
+                      {entry.test_abbreviation
+                        ? getTestLabel(entry.test_abbreviation, language)
+                        : translate('comparisonHeading', language)}
+                    </h4>
+                    <div className="insight-meta">
+                      {studentScore && (
+                        <span className="insight-score">{translate(studentScore.type === 'scaled' ? 'scaledScore' : 'score', language)}: {studentScore.score}</span>
+                      )}
+                      {studentScore?.band && (
+                        <span className={`insight-band ${studentScore.band.tone}`}>{getLocalizedBandLabel(studentScore.band, language)}</span>
+                      )}
+                      <span className={`search-match ${matchesStudent ? 'student' : ''}`}>
+                        {matchesStudent ? translate('matchesStudent', language, { name: student.name }) : translate('reference', language)}
+                      </span>
+                    </div>
+                  </div>
+
+                  <InsightCard insight={entry} recommendationsLabel={recommendationsLabel} language={language} />
+                </div>
+              ))}
+
+              <div className="retrieval-metadata">
+                <p className="metadata-text">
+                  {translate(searchResults.length === 1 ? 'searchResult' : 'searchResults', language, {
+                    count: searchResults.length,
+                    query: searchQuery,
+                    name: student.name
+                  })}
+                </p>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
       {/* Display insights */}
-      {displayedInsights && (
-        <div className="insights-display">
+      {displayedInsights && !searchResults && (
+        <div className="insights-display" lang={language}>
           {displayedInsights.testInsights.length === 0 && 
            displayedInsights.comparisons.length === 0 ? (
             <div className="no-insights">
-              <p>No matching interpretations found for selected criteria.</p>
+              <p>{translate('noInsights', language)}</p>
               <p className="hint">Try selecting a different question or audience.</p>
             </div>
           ) : (
@@ -162,37 +369,15 @@ function ClinicalInsightAssistant({ student, assessments }) {
               {displayedInsights.testInsights.map((testInsight, idx) => (
                 <div key={idx} className="insight-section">
                   <div className="insight-section-header">
-                    <h4 className="insight-test-name">{testInsight.test}</h4>
+                    <h4 className="insight-test-name">{testInsight.testLabel || testInsight.test}</h4>
                     <div className="insight-meta">
-                      <span className="insight-score">Score: {testInsight.score}</span>
-                      <span className={`insight-band insight-band-${testInsight.normativeBand.toLowerCase().replace(/\s+/g, '-')}`}>{testInsight.normativeBand}</span>
+                      <span className="insight-score">{translate(testInsight.scoreType === 'scaled' ? 'scaledScore' : 'score', language)}: {testInsight.score}</span>
+                      <span className={`insight-band ${testInsight.bandTone || ''}`}>{testInsight.normativeBand}</span>
                     </div>
                   </div>
                   
                   {testInsight.insights.map((insight, i) => (
-                    <div key={i} className="insight-card">
-                      <h5 className="insight-title">{insight.title}</h5>
-                      <p className="insight-summary">{insight.summary}</p>
-                      {insight.details && (
-                        <p className="insight-details">{insight.details}</p>
-                      )}
-                      
-                      {insight.recommendations && insight.recommendations.length > 0 && (
-                        <div className="insight-recommendations">
-                          <strong>Recommendations:</strong>
-                          <ul>
-                            {insight.recommendations.map((rec, j) => (
-                              <li key={j}>{rec}</li>
-                            ))}
-                          </ul>
-                        </div>
-                      )}
-                      
-                      <div className="insight-source">
-                        <span className="source-label">Source:</span>
-                        <span className="source-text">{insight.source}</span>
-                      </div>
-                    </div>
+                    <InsightCard key={i} insight={insight} recommendationsLabel={recommendationsLabel} language={language} />
                   ))}
                 </div>
               ))}
@@ -201,39 +386,17 @@ function ClinicalInsightAssistant({ student, assessments }) {
               {displayedInsights.comparisons.map((comparison, idx) => (
                 <div key={idx} className="insight-section comparison-section">
                   <div className="insight-section-header">
-                    <h4 className="insight-test-name">Receptive vs Expressive Language</h4>
+                    <h4 className="insight-test-name">{translate('comparisonHeading', language)}</h4>
                     <div className="insight-meta">
                       <span>RLI: {comparison.receptiveScore} | ELI: {comparison.expressiveScore}</span>
                       {comparison.zDifference && (
-                        <span>Difference: {comparison.zDifference} SD</span>
+                        <span>{translate('difference', language)}: {comparison.zDifference} SD</span>
                       )}
                     </div>
                   </div>
                   
                   {comparison.insights.map((insight, i) => (
-                    <div key={i} className="insight-card">
-                      <h5 className="insight-title">{insight.title}</h5>
-                      <p className="insight-summary">{insight.summary}</p>
-                      {insight.details && (
-                        <p className="insight-details">{insight.details}</p>
-                      )}
-                      
-                      {insight.recommendations && insight.recommendations.length > 0 && (
-                        <div className="insight-recommendations">
-                          <strong>Recommendations:</strong>
-                          <ul>
-                            {insight.recommendations.map((rec, j) => (
-                              <li key={j}>{rec}</li>
-                            ))}
-                          </ul>
-                        </div>
-                      )}
-                      
-                      <div className="insight-source">
-                        <span className="source-label">Source:</span>
-                        <span className="source-text">{insight.source}</span>
-                      </div>
-                    </div>
+                    <InsightCard key={i} insight={insight} recommendationsLabel={recommendationsLabel} language={language} />
                   ))}
                 </div>
               ))}
@@ -246,6 +409,8 @@ function ClinicalInsightAssistant({ student, assessments }) {
               </div>
             </>
           )}
+
+          <RetrievalTrace entries={retrievedEntries} nearMisses={nearMisses} audience={audience} />
         </div>
       )}
     </div>
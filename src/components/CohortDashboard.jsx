@@ -0,0 +1,202 @@
+import React, { useMemo, useState } from 'react'
+import CohortHistogram from './CohortHistogram'
+import {
+  EMPTY_COHORT_FILTERS,
+  getCohortFilterOptions,
+  filterCohort,
+  summarizeCohort
+} from '../utils/cohortUtils'
+import { useClassificationScheme } from '../utils/classificationContext'
+import { exportCohortSummary } from '../utils/exportUtils'
+import './CohortDashboard.css'
+
+// Program-wide outcomes across every loaded record
+
+const SELECT_FILTERS = [
+  { key: 'status', label: 'Status', options: 'statuses' },
+  { key: 'contact', label: 'Contact', options: 'contacts' },
+  { key: 'source', label: 'Source', options: 'sources' },
+  { key: 'administeredBy', label: 'Administered By', options: 'administeredBy' }
+]
+
+/**
+ * Cohort Dashboard Component
+ * Histograms of each index against the normal curve, percent of students per
+ * classification band, medians and assessment counts per year, with filters.
+ */
+function CohortDashboard({ records, datasetName, onClose }) {
+  const scheme = useClassificationScheme()
+  const [filters, setFilters] = useState(EMPTY_COHORT_FILTERS)
+
+  const options = useMemo(() => getCohortFilterOptions(records), [records])
+  const cohortRecords = useMemo(() => filterCohort(records, filters), [records, filters])
+  const summary = useMemo(() => summarizeCohort(cohortRecords, scheme), [cohortRecords, scheme])
+
+  const isFiltered = Object.values(filters).some(value => value !== '')
+  const bandHeaders = summary.indices[0]?.bands.map(({ band }) => band) || []
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }))
+  }
+
+  return (
+    <section className="cohort-dashboard" aria-labelledby="cohort-dashboard-title">
+      <div className="cohort-header">
+        <div>
+          <h2 id="cohort-dashboard-title" className="cohort-title">Program Outcomes</h2>
+          <p className="cohort-subtitle">
+            {summary.studentCount} student{summary.studentCount !== 1 ? 's' : ''} · {summary.assessmentCount} assessment{summary.assessmentCount !== 1 ? 's' : ''} · latest assessment per student · {scheme.label}
+          </p>
+        </div>
+        <div className="cohort-actions">
+          <button
+            type="button"
+            className="header-button"
+            onClick={() => exportCohortSummary(summary, datasetName)}
+            disabled={summary.studentCount === 0}
+          >
+            Download Outcomes (CSV)
+          </button>
+          <button type="button" className="header-button" onClick={onClose}>
+            Back to dashboard
+          </button>
+        </div>
+      </div>
+
+      <div className="cohort-filters" role="group" aria-label="Cohort filters">
+        {SELECT_FILTERS.map(({ key, label, options: optionKey }) => (
+          <label key={key} className="cohort-filter">
+            <span className="cohort-filter-label">{label}</span>
+            <select
+              value={filters[key]}
+              onChange={(e) => updateFilter(key, e.target.value)}
+            >
+              <option value="">All</option>
+              {options[optionKey].map(value => (
+                <option key={value} value={value}>{value}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+        <label className="cohort-filter">
+          <span className="cohort-filter-label">Age from (months)</span>
+          <input
+            type="number"
+            min="0"
+            value={filters.minAge}
+            placeholder={options.ageRange.min ?? ''}
+            onChange={(e) => updateFilter('minAge', e.target.value)}
+          />
+        </label>
+        <label className="cohort-filter">
+          <span className="cohort-filter-label">Age to (months)</span>
+          <input
+            type="number"
+            min="0"
+            value={filters.maxAge}
+            placeholder={options.ageRange.max ?? ''}
+            onChange={(e) => updateFilter('maxAge', e.target.value)}
+          />
+        </label>
+        {isFiltered && (
+          <button
+            type="button"
+            className="cohort-clear"
+            onClick={() => setFilters(EMPTY_COHORT_FILTERS)}
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {summary.studentCount === 0 ? (
+        <p className="no-data-message">No assessments match these filters.</p>
+      ) : (
+        <>
+          <div className="cohort-tables">
+            <div className="cohort-card cohort-card-wide">
+              <h3 className="cohort-card-title">Students per band</h3>
+              <div className="cohort-table-wrapper">
+                <table className="cohort-table">
+                  <thead>
+                    <tr>
+                      <th>Index</th>
+                      <th>n</th>
+                      <th>Median</th>
+                      {bandHeaders.map(band => (
+                        <th key={band.id}>
+                          <span className="cohort-band-swatch" style={{ background: band.color }} />
+                          {band.label}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {summary.indices.map(index => (
+                      <tr key={index.test}>
+                        <td title={index.testName}>{index.test}</td>
+                        <td>{index.n}</td>
+                        <td>{index.median}</td>
+                        {index.bands.map(({ band, count, percent }) => (
+                          <td key={band.id} title={`${count} student${count !== 1 ? 's' : ''}`}>
+                            {percent}%
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            <div className="cohort-card">
+              <h3 className="cohort-card-title">Assessments per year</h3>
+              <table className="cohort-table">
+                <thead>
+                  <tr>
+                    <th>Year</th>
+                    <th>Assessments</th>
+                    <th>Students</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.years.map(year => (
+                    <tr key={year.year}>
+                      <td>{year.year}</td>
+                      <td>{year.assessments}</td>
+                      <td>{year.students}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="cohort-histograms">
+            {summary.indices.map(index => (
+              <div key={index.test} className="cohort-card">
+                <div className="cohort-histogram-header">
+                  <h3 className="chart-title">{index.testName}</h3>
+                  <span className="cohort-histogram-meta">
+                    n = {index.n} · median {index.median} · mean {index.mean}
+                  </span>
+                </div>
+                <CohortHistogram
+                  testName={index.testName}
+                  bins={index.bins}
+                  n={index.n}
+                  median={index.median}
+                />
+              </div>
+            ))}
+          </div>
+          <p className="cohort-note">
+            Bars count students by their latest score; the dashed curve is the count expected from the normative sample (mean 100, SD 15); the red line is the cohort median.
+          </p>
+        </>
+      )}
+    </section>
+  )
+}
+
+export default CohortDashboard
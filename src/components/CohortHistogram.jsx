@@ -0,0 +1,151 @@
+import React, { useEffect, useRef } from 'react'
+import * as d3 from 'd3'
+import { getNormativeParams } from '../utils/dataParser'
+import { getBandSegments } from '../utils/classification'
+import { useClassificationScheme } from '../utils/classificationContext'
+import { HISTOGRAM_BIN_WIDTH } from '../utils/cohortUtils'
+import './CohortHistogram.css'
+
+// D3.js histogram of one index across the cohort, overlaid with the expected normal curve
+
+/**
+ * Cohort Histogram Component
+ * Bars count students per score bin; the curve is the count expected in each
+ * bin if the cohort matched the normative sample (mean 100, SD 15).
+ */
+function CohortHistogram({ testName, bins, n, median }) {
+  const scheme = useClassificationScheme()
+  const svgRef = useRef(null)
+  const containerRef = useRef(null)
+
+  useEffect(() => {
+    if (!svgRef.current || !bins || bins.length === 0) return
+
+    // Clear previous content
+    d3.select(svgRef.current).selectAll('*').remove()
+
+    const container = containerRef.current
+    const width = container.clientWidth
+    const height = 220
+    const margin = { top: 15, right: 20, bottom: 45, left: 40 }
+    const chartWidth = width - margin.left - margin.right
+    const chartHeight = height - margin.top - margin.bottom
+
+    const svg = d3.select(svgRef.current)
+      .attr('width', width)
+      .attr('height', height)
+      .attr('viewBox', `0 0 ${width} ${height}`)
+      .attr('preserveAspectRatio', 'xMidYMid meet')
+
+    const g = svg.append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`)
+
+    const { mean, sd } = getNormativeParams('standard')
+    const xMin = Math.min(mean - 3 * sd, bins[0].from)
+    const xMax = Math.max(mean + 3 * sd, bins[bins.length - 1].to)
+
+    // Expected students per bin under the normal curve
+    const normalPDF = x => Math.exp(-0.5 * ((x - mean) / sd) ** 2) / (sd * Math.sqrt(2 * Math.PI))
+    const curve = d3.range(xMin, xMax + 1, 1).map(x => ({ x, y: normalPDF(x) * n * HISTOGRAM_BIN_WIDTH }))
+
+    const xScale = d3.scaleLinear()
+      .domain([xMin, xMax])
+      .range([0, chartWidth])
+
+    const yScale = d3.scaleLinear()
+      .domain([0, Math.max(d3.max(bins, d => d.count), d3.max(curve, d => d.y)) * 1.1])
+      .nice()
+      .range([chartHeight, 0])
+
+    // Classification bands behind the bars
+    getBandSegments(xMin, xMax, 'standard', scheme).forEach(({ band, from, to }) => {
+      g.append('rect')
+        .attr('x', xScale(from))
+        .attr('width', xScale(to) - xScale(from))
+        .attr('y', 0)
+        .attr('height', chartHeight)
+        .attr('fill', band.color)
+        .attr('fill-opacity', 0.15)
+    })
+
+    g.selectAll('.cohort-bar')
+      .data(bins)
+      .enter()
+      .append('rect')
+      .attr('class', 'cohort-bar')
+      .attr('x', d => xScale(d.from) + 1)
+      .attr('width', d => Math.max(0, xScale(d.to) - xScale(d.from) - 2))
+      .attr('y', d => yScale(d.count))
+      .attr('height', d => chartHeight - yScale(d.count))
+      .attr('fill', '#6366f1')
+      .attr('opacity', 0.8)
+      .append('title')
+      .text(d => `${d.from}–${d.to - 1}: ${d.count} student${d.count !== 1 ? 's' : ''}`)
+
+    const line = d3.line()
+      .x(d => xScale(d.x))
+      .y(d => yScale(d.y))
+      .curve(d3.curveBasis)
+
+    g.append('path')
+      .datum(curve)
+      .attr('fill', 'none')
+      .attr('stroke', '#1f2937')
+      .attr('stroke-width', 2)
+      .attr('stroke-dasharray', '4,3')
+      .attr('d', line)
+
+    // Cohort median
+    if (median !== null) {
+      g.append('line')
+        .attr('x1', xScale(median))
+        .attr('x2', xScale(median))
+        .attr('y1', 0)
+        .attr('y2', chartHeight)
+        .attr('stroke', '#dc2626')
+        .attr('stroke-width', 2)
+
+      g.append('text')
+        .attr('x', xScale(median) + 4)
+        .attr('y', 10)
+        .attr('font-size', '11px')
+        .attr('font-weight', '600')
+        .attr('fill', '#dc2626')
+        .text(`Median ${median}`)
+    }
+
+    // Axes
+    g.append('g')
+      .attr('transform', `translate(0,${chartHeight})`)
+      .call(d3.axisBottom(xScale).tickValues([mean - 3 * sd, mean - 2 * sd, mean - sd, mean, mean + sd, mean + 2 * sd, mean + 3 * sd]))
+      .selectAll('text')
+      .attr('font-size', '11px')
+      .attr('fill', '#6b7280')
+
+    g.append('g')
+      .call(d3.axisLeft(yScale).ticks(4).tickFormat(d3.format('d')))
+      .selectAll('text')
+      .attr('font-size', '11px')
+      .attr('fill', '#6b7280')
+
+    g.append('text')
+      .attr('transform', `translate(${chartWidth / 2}, ${chartHeight + 38})`)
+      .attr('text-anchor', 'middle')
+      .attr('font-size', '12px')
+      .attr('fill', '#374151')
+      .text('Standard Score')
+
+  }, [testName, bins, n, median, scheme])
+
+  return (
+    <div className="cohort-histogram" ref={containerRef}>
+      {bins && bins.length > 0 ? (
+        <svg ref={svgRef} className="chart-svg" role="img" aria-label={`${testName} distribution`}></svg>
+      ) : (
+        <p className="cohort-histogram-empty">No scores recorded for this index.</p>
+      )}
+    </div>
+  )
+}
+
+export default CohortHistogram
@@ -0,0 +1,167 @@
+import React, { useRef, useState } from 'react'
+import { parseAssessmentCSV, loadSampleCSV, createDataset } from '../utils/csvImport'
+import './DataImport.css'
+
+// CSV import screen with drag-and-drop, file picker and loaded dataset list
+
+/**
+ * Data Import Component
+ * Parses a user-chosen CSV export and hands the resulting dataset to the app.
+ * Previously loaded datasets stay listed so they can be switched without a rebuild.
+ */
+function DataImport({ datasets = [], activeDatasetId, onImport, onSelectDataset, onCancel }) {
+  const [isDragging, setIsDragging] = useState(false)
+  const [isParsing, setIsParsing] = useState(false)
+  const [error, setError] = useState(null)
+  const fileInputRef = useRef(null)
+
+  const importFile = (file) => {
+    if (!file) return
+
+    if (!/\.csv$/i.test(file.name) && file.type !== 'text/csv') {
+      setError(`"${file.name}" is not a CSV file.`)
+      return
+    }
+
+    setError(null)
+    setIsParsing(true)
+    parseAssessmentCSV(file)
+      .then(parsed => {
+        setIsParsing(false)
+        onImport(createDataset(file.name, parsed))
+      })
+      .catch(err => {
+        console.error('Error importing CSV:', err)
+        setIsParsing(false)
+        setError('Failed to process CSV data. Please check the file format.')
+      })
+  }
+
+  const handleLoadSample = () => {
+    setError(null)
+    setIsParsing(true)
+    loadSampleCSV()
+      .then(parsed => {
+        setIsParsing(false)
+        onImport(createDataset('Sample dataset', parsed))
+      })
+      .catch(err => {
+        console.error('Error loading sample CSV:', err)
+        setIsParsing(false)
+        setError('Failed to load the sample file from the public folder.')
+      })
+  }
+
+  const handleDrop = (e) => {
+    e.preventDefault()
+    setIsDragging(false)
+    importFile(e.dataTransfer.files?.[0])
+  }
+
+  const handleFileChange = (e) => {
+    importFile(e.target.files?.[0])
+    // Allow re-importing the same file name later
+    e.target.value = ''
+  }
+
+  return (
+    <section className="data-import" aria-labelledby="data-import-title">
+      <div className="data-import-header">
+        <div>
+          <h2 id="data-import-title" className="data-import-title">Import Assessment Data</h2>
+          <p className="data-import-subtitle">
+            Choose a CELF-P3 responses export (.csv). Files are processed in your browser and never uploaded.
+          </p>
+        </div>
+        {onCancel && (
+          <button type="button" className="data-import-secondary" onClick={onCancel}>
+            Back to dashboard
+          </button>
+        )}
+      </div>
+
+      <div
+        className={`data-import-dropzone ${isDragging ? 'dragging' : ''}`}
+        onDragOver={(e) => {
+          e.preventDefault()
+          setIsDragging(true)
+        }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        onClick={() => fileInputRef.current?.click()}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault()
+            fileInputRef.current?.click()
+          }
+        }}
+        role="button"
+        tabIndex={0}
+        aria-label="Drop a CSV file here or press Enter to choose one"
+      >
+        {isParsing ? (
+          <>
+            <div className="spinner"></div>
+            <p>Processing file...</p>
+          </>
+        ) : (
+          <>
+            <svg width="40" height="40" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+              <path d="M8 1L13 6H10V11H6V6H3L8 1Z" fill="currentColor"/>
+              <path d="M14 13H2V15H14V13Z" fill="currentColor"/>
+            </svg>
+            <p className="dropzone-text">Drag and drop a CSV file here</p>
+            <p className="dropzone-hint">or click to browse</p>
+          </>
+        )}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,text/csv"
+          className="sr-only"
+          onChange={handleFileChange}
+          tabIndex={-1}
+        />
+      </div>
+
+      {error && (
+        <p className="data-import-error" role="alert">{error}</p>
+      )}
+
+      <div className="data-import-actions">
+        <button
+          type="button"
+          className="data-import-secondary"
+          onClick={handleLoadSample}
+          disabled={isParsing}
+        >
+          Load sample dataset
+        </button>
+      </div>
+
+      {datasets.length > 0 && (
+        <div className="loaded-datasets">
+          <h3 className="loaded-datasets-title">Loaded this session</h3>
+          <ul className="loaded-datasets-list">
+            {datasets.map(dataset => (
+              <li key={dataset.id}>
+                <button
+                  type="button"
+                  className={`loaded-dataset ${dataset.id === activeDatasetId ? 'active' : ''}`}
+                  onClick={() => onSelectDataset(dataset.id)}
+                >
+                  <span className="loaded-dataset-name">{dataset.name}</span>
+                  <span className="loaded-dataset-meta">
+                    {dataset.students.length} students · {dataset.records.length} assessments · imported {dataset.importedAt.toLocaleTimeString()}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default DataImport
@@ -0,0 +1,116 @@
+import React, { useMemo } from 'react'
+import { getIndexDiscrepancyMatrix, getStrengthsWeaknessesProfile } from '../utils/discrepancyAnalysis'
+import './DiscrepancyMatrix.css'
+
+// Pairwise index discrepancy matrix and subtest strengths/weaknesses profile
+
+/**
+ * Describe a comparison for the cell tooltip
+ */
+function describePair(pair) {
+  const rate = pair.baseRate !== null ? `; base rate ${pair.baseRate}%` : ''
+  return `${pair.a} ${pair.scoreA} − ${pair.b} ${pair.scoreB} = ${pair.difference} ` +
+    `(critical ${pair.criticalValue}${rate})`
+}
+
+/**
+ * Discrepancy Matrix Component
+ * Row index minus column index for every pair of composite indices on one
+ * assessment; significant cells are highlighted, unusual ones (low base rate) marked.
+ */
+function DiscrepancyMatrix({ assessment }) {
+  const matrix = useMemo(() => getIndexDiscrepancyMatrix(assessment), [assessment])
+  const profile = useMemo(() => getStrengthsWeaknessesProfile(assessment), [assessment])
+
+  if (!assessment || (matrix.indices.length < 2 && profile.mean === null)) return null
+
+  return (
+    <section className="discrepancy-matrix" aria-labelledby="discrepancy-matrix-title">
+      <div className="discrepancy-header">
+        <h3 id="discrepancy-matrix-title" className="discrepancy-title">Discrepancy Analysis</h3>
+        <span className="discrepancy-date">{assessment.date.toLocaleDateString()}</span>
+      </div>
+
+      {matrix.indices.length >= 2 && (
+        <div className="discrepancy-table-wrapper">
+          <table className="discrepancy-table">
+            <caption>Index differences (row − column)</caption>
+            <thead>
+              <tr>
+                <th scope="col"></th>
+                {matrix.indices.map(index => (
+                  <th key={index} scope="col">{index}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {matrix.indices.map(row => (
+                <tr key={row}>
+                  <th scope="row">
+                    {row} <span className="discrepancy-score">{assessment.tests[row].standardScore}</span>
+                  </th>
+                  {matrix.indices.map(column => {
+                    if (row === column) {
+                      return <td key={column} className="discrepancy-cell-self">—</td>
+                    }
+                    const pair = matrix.lookup(row, column)
+                    const classes = ['discrepancy-cell']
+                    if (pair.significant) classes.push(pair.difference > 0 ? 'discrepancy-cell-higher' : 'discrepancy-cell-lower')
+                    if (pair.unusual) classes.push('discrepancy-cell-unusual')
+                    return (
+                      <td key={column} className={classes.join(' ')} title={describePair(pair)}>
+                        {pair.difference > 0 ? '+' : ''}{pair.difference}
+                        {pair.unusual && <span aria-label="unusual">*</span>}
+                      </td>
+                    )
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="discrepancy-note">
+            Shaded cells reach the critical value; * marks differences seen in few children (low base rate).
+          </p>
+        </div>
+      )}
+
+      {profile.mean !== null && (
+        <div className="discrepancy-profile">
+          <h4 className="discrepancy-profile-title">
+            Subtests vs own mean scaled score ({profile.mean})
+          </h4>
+          {profile.strengths.length === 0 && profile.weaknesses.length === 0 ? (
+            <p className="discrepancy-empty">No subtest differs significantly from the child&apos;s own mean.</p>
+          ) : (
+            <div className="discrepancy-profile-grid">
+              <div>
+                <h5 className="discrepancy-profile-label strength">Personal strengths</h5>
+                <ul>
+                  {profile.strengths.map(item => (
+                    <li key={item.test}>
+                      {item.testName}: {item.score} (+{item.difference})
+                    </li>
+                  ))}
+                  {profile.strengths.length === 0 && <li className="discrepancy-empty">None</li>}
+                </ul>
+              </div>
+              <div>
+                <h5 className="discrepancy-profile-label weakness">Personal weaknesses</h5>
+                <ul>
+                  {profile.weaknesses.map(item => (
+                    <li key={item.test}>
+                      {item.testName}: {item.score} ({item.difference})
+                    </li>
+                  ))}
+                  {profile.weaknesses.length === 0 && <li className="discrepancy-empty">None</li>}
+                </ul>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default DiscrepancyMatrix
@@ -1,19 +1,26 @@
 import React, { useState } from 'react'
-import { exportStudentReport, printStudentReport } from '../utils/exportUtils'
+import { exportStudentReport, printStudentReport, exportCaseloadSummary } from '../utils/exportUtils'
+import { useClassificationScheme } from '../utils/classificationContext'
 import './ExportButton.css'
 
 // Export and print functionality for student reports
 
-function ExportButton({ student, assessments, insights = [] }) {
+function ExportButton({ student, assessments, insights = [], confidenceLevel, caseload = null }) {
+  const scheme = useClassificationScheme()
   const [isOpen, setIsOpen] = useState(false)
 
   const handleExportReport = () => {
-    exportStudentReport(student, assessments, insights)
+    exportStudentReport(student, assessments, insights, confidenceLevel, scheme)
     setIsOpen(false)
   }
 
   const handlePrintReport = () => {
-    printStudentReport(student, assessments)
+    printStudentReport(student, assessments, confidenceLevel, scheme)
+    setIsOpen(false)
+  }
+
+  const handleExportCaseload = () => {
+    exportCaseloadSummary(caseload.contact, caseload.summary, scheme)
     setIsOpen(false)
   }
 
@@ -62,6 +69,19 @@ function ExportButton({ student, assessments, insights = [] }) {
               </svg>
               Print Report
             </button>
+            {caseload && (
+              <button
+                className="export-menu-item"
+                onClick={handleExportCaseload}
+                role="menuitem"
+              >
+                <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+                  <path d="M2 2H14V14H2V2Z" stroke="currentColor" strokeWidth="1.5" fill="none"/>
+                  <path d="M5 6H11M5 9H11M5 12H9" stroke="currentColor" strokeWidth="1.5"/>
+                </svg>
+                Caseload Summary ({caseload.contact})
+              </button>
+            )}
           </div>
         </>
       )}
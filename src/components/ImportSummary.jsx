@@ -0,0 +1,160 @@
+import React, { useMemo, useState } from 'react'
+import { exportValidationReport } from '../utils/exportUtils'
+import { hasConversionTables } from '../utils/compositeDerivation'
+import './ImportSummary.css'
+
+// Import summary screen listing skipped rows, coerced cells and composite mismatches
+
+const ISSUE_FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: 'error', label: 'Errors' },
+  { id: 'warning', label: 'Warnings' },
+  { id: 'info', label: 'Info' }
+]
+
+/**
+ * Import Summary Component
+ * Shows the validation report for a dataset so the data team can fix the source spreadsheet
+ */
+function ImportSummary({ dataset, onContinue }) {
+  const [filter, setFilter] = useState('all')
+  const report = dataset?.validation
+
+  const visibleIssues = useMemo(() => {
+    if (!report) return []
+    if (filter === 'all') return report.issues
+    return report.issues.filter(issue => issue.level === filter)
+  }, [report, filter])
+
+  if (!report) {
+    return (
+      <section className="import-summary">
+        <p className="no-data-message">No validation report available for this dataset.</p>
+      </section>
+    )
+  }
+
+  const stats = [
+    { label: 'Rows read', value: report.totalRows },
+    { label: 'Assessments imported', value: report.importedRows },
+    { label: 'Rows skipped', value: report.skippedRows, tone: report.skippedRows > 0 ? 'error' : null },
+    { label: 'Cells coerced', value: report.coercedCells, tone: report.coercedCells > 0 ? 'warning' : null },
+    // The composite check is not active until the norms conversion tables are filled in
+    hasConversionTables()
+      ? {
+          label: 'Composite mismatches',
+          value: report.compositeMismatches ?? 0,
+          tone: report.compositeMismatches > 0 ? 'error' : null
+        }
+      : { label: 'Composite check not yet active', value: '—' }
+  ]
+
+  return (
+    <section className="import-summary" aria-labelledby="import-summary-title">
+      <div className="import-summary-header">
+        <div>
+          <h2 id="import-summary-title" className="import-summary-title">Import Summary</h2>
+          <p className="import-summary-subtitle">
+            {dataset.name} · {report.errorCount} error{report.errorCount !== 1 ? 's' : ''}, {report.warningCount} warning{report.warningCount !== 1 ? 's' : ''}
+          </p>
+        </div>
+        <div className="import-summary-actions">
+          <button
+            type="button"
+            className="import-summary-secondary"
+            onClick={() => exportValidationReport(report, dataset.name)}
+            disabled={report.issues.length === 0}
+          >
+            Download Report (CSV)
+          </button>
+          <button type="button" className="import-summary-primary" onClick={onContinue}>
+            Continue to dashboard
+          </button>
+        </div>
+      </div>
+
+      <div className="import-summary-stats">
+        {stats.map(stat => (
+          <div key={stat.label} className={`import-stat ${stat.tone ? `import-stat-${stat.tone}` : ''}`}>
+            <span className="import-stat-value">{stat.value}</span>
+            <span className="import-stat-label">{stat.label}</span>
+          </div>
+        ))}
+      </div>
+
+      <div className="import-header-check">
+        <h3 className="import-section-title">Header check</h3>
+        {report.header.missing.length === 0 && report.header.unexpected.length === 0 ? (
+          <p className="import-ok">All expected CELF-P3 columns are present.</p>
+        ) : (
+          <ul className="import-header-list">
+            {report.header.missingRequired.length > 0 && (
+              <li className="import-header-error">
+                Missing required: {report.header.missingRequired.join(', ')}
+              </li>
+            )}
+            {report.header.missing.length > report.header.missingRequired.length && (
+              <li>
+                Missing: {report.header.missing.filter(c => !report.header.missingRequired.includes(c)).join(', ')}
+              </li>
+            )}
+            {report.header.unexpected.length > 0 && (
+              <li>Unexpected: {report.header.unexpected.join(', ')}</li>
+            )}
+          </ul>
+        )}
+      </div>
+
+      <div className="import-issues">
+        <div className="import-issues-header">
+          <h3 className="import-section-title">Row, cell and composite issues</h3>
+          <div className="import-filter" role="group" aria-label="Filter issues by level">
+            {ISSUE_FILTERS.map(option => (
+              <button
+                key={option.id}
+                type="button"
+                className={`import-filter-btn ${filter === option.id ? 'active' : ''}`}
+                onClick={() => setFilter(option.id)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {visibleIssues.length === 0 ? (
+          <p className="import-ok">No issues found.</p>
+        ) : (
+          <div className="import-table-wrapper">
+            <table className="import-table">
+              <thead>
+                <tr>
+                  <th>Level</th>
+                  <th>Row</th>
+                  <th>Column</th>
+                  <th>Value</th>
+                  <th>Message</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleIssues.map((issue, index) => (
+                  <tr key={index}>
+                    <td>
+                      <span className={`import-level import-level-${issue.level}`}>{issue.level}</span>
+                    </td>
+                    <td>{issue.row ?? '—'}</td>
+                    <td>{issue.column ?? '—'}</td>
+                    <td className="import-value">{issue.value || '—'}</td>
+                    <td>{issue.message}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </section>
+  )
+}
+
+export default ImportSummary
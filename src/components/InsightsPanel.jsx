@@ -1,14 +1,18 @@
 import React, { useMemo } from 'react'
-import { getScoreInterpretation, getNormativeParams } from '../utils/dataParser'
+import { classifyScore } from '../utils/classification'
+import { useClassificationScheme } from '../utils/classificationContext'
+import { getGsvChanges } from '../utils/trendUtils'
+import { buildProgressInsight } from '../utils/progressEngine'
+import { buildDiscrepancyInsight } from '../utils/discrepancyAnalysis'
 import './InsightsPanel.css'
 
 // Automated insights panel for score analysis
 
 function InsightsPanel({ student, assessments }) {
+  const scheme = useClassificationScheme()
   const insights = useMemo(() => {
     if (!assessments || assessments.length === 0) return []
 
-    const { mean, sd } = getNormativeParams('standard')
     const insightsList = []
 
     // Get the most recent assessment
@@ -21,85 +25,33 @@ function InsightsPanel({ student, assessments }) {
     const tests = latestAssessment.tests || {}
     const testEntries = Object.entries(tests)
 
-    // Find significantly below average scores (≤ -1 SD)
-    const belowAverage = testEntries
-      .filter(([_, test]) => test.standardScore !== null && test.standardScore < mean - sd)
+    // Classify every score with the active scheme
+    const classified = testEntries
       .map(([key, test]) => ({
         test: test.testName || key,
         score: test.standardScore,
-        interpretation: getScoreInterpretation(test.standardScore)
+        band: classifyScore(test.standardScore, 'standard', scheme)
       }))
+      .filter(item => item.band)
+
+    // Scores in a below-average band
+    const belowAverage = classified
+      .filter(item => item.band.tone === 'below')
       .sort((a, b) => a.score - b.score)
 
-    // Find significantly above average scores (≥ +1 SD)
-    const aboveAverage = testEntries
-      .filter(([_, test]) => test.standardScore !== null && test.standardScore > mean + sd)
-      .map(([key, test]) => ({
-        test: test.testName || key,
-        score: test.standardScore,
-        interpretation: getScoreInterpretation(test.standardScore)
-      }))
+    // Scores in an above-average band
+    const aboveAverage = classified
+      .filter(item => item.band.tone === 'above')
       .sort((a, b) => b.score - a.score)
 
-    // Compare Receptive vs Expressive
-    const receptiveTests = ['RLI', 'SC', 'BC', 'WC', 'DPP', 'PRS']
-    const expressiveTests = ['ELI', 'WS', 'EV', 'FD', 'RS']
-
-    const receptiveScores = testEntries
-      .filter(([key]) => receptiveTests.includes(key))
-      .map(([_, test]) => test.standardScore)
-      .filter(score => score !== null)
-
-    const expressiveScores = testEntries
-      .filter(([key]) => expressiveTests.includes(key))
-      .map(([_, test]) => test.standardScore)
-      .filter(score => score !== null)
-
-    const avgReceptive = receptiveScores.length > 0
-      ? receptiveScores.reduce((a, b) => a + b, 0) / receptiveScores.length
-      : null
-
-    const avgExpressive = expressiveScores.length > 0
-      ? expressiveScores.reduce((a, b) => a + b, 0) / expressiveScores.length
-      : null
-
-    // Progress over time
-    const progressInsights = []
-    if (assessments.length > 1) {
-      const sortedAssessments = [...assessments].sort((a, b) => 
-        new Date(a.date) - new Date(b.date)
-      )
-
-      // Compare first and last assessment for each test
-      const firstAssessment = sortedAssessments[0]
-      const lastAssessment = sortedAssessments[sortedAssessments.length - 1]
-
-      const testKeys = new Set([
-        ...Object.keys(firstAssessment.tests || {}),
-        ...Object.keys(lastAssessment.tests || {})
-      ])
-
-      for (const testKey of testKeys) {
-        const firstScore = firstAssessment.tests[testKey]?.standardScore
-        const lastScore = lastAssessment.tests[testKey]?.standardScore
-
-        if (firstScore !== null && lastScore !== null) {
-          const change = lastScore - firstScore
-          const testName = firstAssessment.tests[testKey]?.testName || testKey
-
-          if (Math.abs(change) >= 5) { // Significant change (≥ 5 points)
-            progressInsights.push({
-              test: testName,
-              change: change,
-              firstScore,
-              lastScore,
-              firstDate: firstAssessment.date,
-              lastDate: lastAssessment.date
-            })
-          }
-        }
-      }
-    }
+    // Index-pair and subtest-vs-own-mean discrepancies on the latest assessment
+    const discrepancyInsight = buildDiscrepancyInsight(latestAssessment)
+
+    // Reliable change across the student's history
+    const progressInsight = buildProgressInsight(assessments)
+
+    // Growth Scale Value change across every assessment (absolute skill growth)
+    const gsvChanges = getGsvChanges(assessments)
 
     // Build insights array
     if (belowAverage.length > 0) {
@@ -107,7 +59,7 @@ function InsightsPanel({ student, assessments }) {
         type: 'below-average',
         title: 'Areas Needing Support',
         items: belowAverage.map(item => 
-          `${item.test}: ${item.score} (${item.interpretation})`
+          `${item.test}: ${item.score} (${item.band.label})`
         )
       })
     }
@@ -117,41 +69,33 @@ function InsightsPanel({ student, assessments }) {
         type: 'above-average',
         title: 'Relative Strengths',
         items: aboveAverage.map(item => 
-          `${item.test}: ${item.score} (${item.interpretation})`
+          `${item.test}: ${item.score} (${item.band.label})`
         )
       })
     }
 
-    if (avgReceptive !== null && avgExpressive !== null) {
-      const difference = Math.abs(avgReceptive - avgExpressive)
-      if (difference >= 10) { // Significant difference
-        const stronger = avgReceptive > avgExpressive ? 'Receptive' : 'Expressive'
-        insightsList.push({
-          type: 'receptive-expressive',
-          title: 'Receptive vs Expressive Comparison',
-          items: [
-            `Average Receptive: ${avgReceptive.toFixed(1)}`,
-            `Average Expressive: ${avgExpressive.toFixed(1)}`,
-            `${stronger} language skills are ${difference.toFixed(1)} points higher`
-          ]
-        })
-      }
+    if (discrepancyInsight) {
+      insightsList.push(discrepancyInsight)
+    }
+
+    if (progressInsight) {
+      insightsList.push(progressInsight)
     }
 
-    if (progressInsights.length > 0) {
+    if (gsvChanges.length > 0) {
       insightsList.push({
         type: 'progress',
-        title: 'Progress Over Time',
-        items: progressInsights.map(item => {
-          const direction = item.change > 0 ? 'improved' : 'declined'
-          const changeStr = Math.abs(item.change)
-          return `${item.test}: ${direction} by ${changeStr} points (${item.firstScore} → ${item.lastScore})`
+        title: 'Growth Scale Value Change',
+        items: gsvChanges.map(item => {
+          const sign = item.totalChange > 0 ? '+' : ''
+          const path = item.points.map(point => point.value).join(' → ')
+          return `${item.testName}: ${sign}${item.totalChange} GSV (${path})`
         })
       })
     }
 
     return insightsList
-  }, [assessments])
+  }, [assessments, scheme])
 
   if (insights.length === 0) {
     return (
@@ -3,14 +3,53 @@ import './KPICard.css'
 
 // Key Performance Indicator card component
 
+const SPARKLINE_WIDTH = 96
+const SPARKLINE_HEIGHT = 28
+
+/**
+ * Small line of every historical value, oldest first, latest point marked
+ */
+function Sparkline({ values }) {
+  const min = Math.min(...values)
+  const max = Math.max(...values)
+  const range = max - min || 1
+  const step = SPARKLINE_WIDTH / (values.length - 1)
+  const points = values.map((value, index) => [
+    index * step,
+    SPARKLINE_HEIGHT - 2 - ((value - min) / range) * (SPARKLINE_HEIGHT - 4)
+  ])
+  const [lastX, lastY] = points[points.length - 1]
+
+  return (
+    <svg
+      className="kpi-sparkline"
+      width={SPARKLINE_WIDTH}
+      height={SPARKLINE_HEIGHT}
+      viewBox={`-3 0 ${SPARKLINE_WIDTH + 6} ${SPARKLINE_HEIGHT}`}
+      role="img"
+      aria-label={`History: ${values.join(', ')}`}
+    >
+      <polyline
+        points={points.map(([x, y]) => `${x},${y}`).join(' ')}
+        fill="none"
+        stroke="currentColor"
+        strokeWidth="1.5"
+      />
+      <circle cx={lastX} cy={lastY} r="2.5" fill="currentColor" />
+    </svg>
+  )
+}
+
 /**
  * KPI Card Component
- * Displays a key performance indicator with value, change percentage, and trend indicator
+ * Displays a key performance indicator with its value and, when given, the
+ * point change from the previous assessment, whether that change is reliable
+ * (RCI) and a sparkline of every historical value
  */
-function KPICard({ title, value, change, changeType, color = 'blue', icon }) {
-  const isPositive = changeType === 'increase'
-  const changeColor = isPositive ? '#10b981' : '#ef4444'
-  const changeIcon = isPositive ? '↑' : '↓'
+function KPICard({ title, value, change, reliableChange = null, history = [], color = 'blue', icon }) {
+  const hasChange = change !== null && change !== undefined
+  const direction = !hasChange || change === 0 ? 'flat' : change > 0 ? 'up' : 'down'
+  const changeIcon = { up: '↑', down: '↓', flat: '→' }[direction]
 
   return (
     <div className={`kpi-card kpi-card-${color}`}>
@@ -18,14 +57,27 @@ function KPICard({ title, value, change, changeType, color = 'blue', icon }) {
         <span className="kpi-title">{title}</span>
         {icon && <span className="kpi-icon">{icon}</span>}
       </div>
-      <div className="kpi-value">{value}</div>
-      {change !== null && change !== undefined && (
-        <div className="kpi-change" style={{ color: changeColor }}>
+      <div className="kpi-body">
+        <div className="kpi-value">{value}</div>
+        {history.length > 1 && <Sparkline values={history} />}
+      </div>
+      {hasChange && (
+        <div className={`kpi-change kpi-change-${direction}`}>
           <span className="change-icon">{changeIcon}</span>
-          <span className="change-value">{Math.abs(change).toFixed(1)}%</span>
+          <span className="change-value">
+            {change > 0 ? '+' : ''}{change} pt{Math.abs(change) !== 1 ? 's' : ''}
+          </span>
           <span className="change-label">from previous</span>
         </div>
       )}
+      {reliableChange && (
+        <div
+          className={`kpi-reliable-change kpi-reliable-change-${reliableChange.status}`}
+          title={`RCI ${reliableChange.rci.toFixed(2)}`}
+        >
+          {reliableChange.label}
+        </div>
+      )}
     </div>
   )
 }
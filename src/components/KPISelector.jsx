@@ -0,0 +1,40 @@
+import React from 'react'
+import { AVAILABLE_KPIS } from '../utils/kpiUtils'
+import './KPISelector.css'
+
+// Picker for which index KPI cards the dashboard shows
+
+/**
+ * KPI Selector Component
+ * Checkbox list of every configured index KPI (src/config/kpis.json)
+ */
+function KPISelector({ selected, onChange }) {
+  const toggle = (test) => {
+    const next = selected.includes(test)
+      ? selected.filter(t => t !== test)
+      : [...selected, test]
+    onChange(AVAILABLE_KPIS.map(kpi => kpi.test).filter(t => next.includes(t)))
+  }
+
+  return (
+    <details className="kpi-selector">
+      <summary className="kpi-selector-summary">Customize KPIs</summary>
+      <fieldset className="kpi-selector-options">
+        <legend className="kpi-selector-legend">Index cards to show</legend>
+        {AVAILABLE_KPIS.map(kpi => (
+          <label key={kpi.test} className="kpi-selector-option">
+            <input
+              type="checkbox"
+              checked={selected.includes(kpi.test)}
+              onChange={() => toggle(kpi.test)}
+            />
+            <span>{kpi.test}</span>
+            <span className="kpi-selector-name">{kpi.title}</span>
+          </label>
+        ))}
+      </fieldset>
+    </details>
+  )
+}
+
+export default KPISelector
@@ -0,0 +1,677 @@
+import React, { useMemo, useState } from 'react'
+import { TEST_NAMES } from '../utils/dataParser'
+import {
+  KB_AUDIENCES,
+  COMPARISON_TEST_TYPE,
+  validateEntry,
+  validateKnowledgeBase,
+  buildCoverageReport,
+  formatScoreRange
+} from '../knowledgeBase/kbSchema'
+import {
+  getPublishedKnowledgeBase,
+  getDraft,
+  saveDraft,
+  discardDraft,
+  publishDraft,
+  getPublishedHistory,
+  restoreVersion,
+  getBundledUpdate,
+  acknowledgeBundledUpdate,
+  keepLocalChange,
+  takeBundledEntry,
+  isRetired
+} from '../knowledgeBase/kbStore'
+import { previewEntryMatches } from '../retrievalEngine/retrievalEngine'
+import { LANGUAGES, DEFAULT_LANGUAGE, LOCALIZED_FIELDS } from '../utils/languageUtils'
+import { exportKnowledgeBase } from '../utils/exportUtils'
+import { useClassificationScheme } from '../utils/classificationContext'
+import './KnowledgeBaseEditor.css'
+
+// Authoring screen for the interpretation knowledge base
+
+const TEST_OPTIONS = [
+  ...Object.entries(TEST_NAMES).map(([key, name]) => ({ key, name })),
+  { key: COMPARISON_TEST_TYPE, name: `${COMPARISON_TEST_TYPE} (RLI − ELI)` }
+]
+
+const EMPTY_FILTERS = { test: '', audience: '', search: '', showRetired: false }
+
+const TRANSLATION_LANGUAGES = LANGUAGES.filter(language => language.code !== DEFAULT_LANGUAGE)
+
+/**
+ * Editable text of the translatable fields (recommendations one per line)
+ */
+function textFieldsToForm(fields = {}) {
+  return Object.fromEntries(LOCALIZED_FIELDS.map(field => [
+    field,
+    field === 'recommendations' ? (fields.recommendations || []).join('\n') : fields[field] || ''
+  ]))
+}
+
+/**
+ * Translatable fields from form text, leaving out empty ones
+ */
+function formToTextFields(form) {
+  const fields = {}
+  for (const field of LOCALIZED_FIELDS) {
+    const value = field === 'recommendations'
+      ? form.recommendations.split('\n').map(line => line.trim()).filter(Boolean)
+      : form[field].trim()
+    if (value.length > 0) fields[field] = value
+  }
+  return fields
+}
+
+/**
+ * Editable form values for an entry (numbers and lists as text)
+ */
+function entryToForm(entry) {
+  const isComparison = entry.test_type === COMPARISON_TEST_TYPE
+  const range = entry.score_range || {}
+  const min = isComparison ? range.min_z_diff : range.min_z
+  const max = isComparison ? range.max_z_diff : range.max_z
+  return {
+    id: entry.id || '',
+    test: isComparison ? COMPARISON_TEST_TYPE : entry.test_abbreviation || '',
+    audience: entry.audience || 'clinician',
+    min: min ?? '',
+    max: max ?? '',
+    ...textFieldsToForm(entry),
+    translations: Object.fromEntries(TRANSLATION_LANGUAGES.map(({ code }) => [
+      code,
+      textFieldsToForm(entry.translations?.[code])
+    ])),
+    retired: isRetired(entry)
+  }
+}
+
+/**
+ * Build an entry from form values
+ * Fields follow the order used in celf_interpretations.json; fields the form
+ * does not edit (e.g. band) are carried over from the original.
+ */
+function formToEntry(form, original = {}) {
+  const isComparison = form.test === COMPARISON_TEST_TYPE
+  const parseBound = value => (String(value).trim() === '' ? undefined : Number(value))
+  const [minKey, maxKey] = isComparison ? ['min_z_diff', 'max_z_diff'] : ['min_z', 'max_z']
+  const score_range = {}
+  if (parseBound(form.min) !== undefined) score_range[minKey] = parseBound(form.min)
+  if (parseBound(form.max) !== undefined) score_range[maxKey] = parseBound(form.max)
+
+  const translations = Object.fromEntries(
+    Object.entries(form.translations)
+      .map(([code, fields]) => [code, formToTextFields(fields)])
+      .filter(([, fields]) => Object.keys(fields).length > 0)
+  )
+
+  const entry = {
+    id: form.id.trim(),
+    test_type: isComparison ? COMPARISON_TEST_TYPE : TEST_NAMES[form.test] || '',
+    ...(isComparison ? {} : { test_abbreviation: form.test }),
+    score_range,
+    audience: form.audience,
+    title: form.title.trim(),
+    summary: form.summary.trim(),
+    details: form.details.trim(),
+    source: form.source.trim(),
+    recommendations: form.recommendations.split('\n').map(line => line.trim()).filter(Boolean),
+    ...(Object.keys(translations).length > 0 ? { translations } : {})
+  }
+  const carried = Object.entries(original)
+    .filter(([key]) => !(key in entry) && !['test_abbreviation', 'translations', 'retired'].includes(key))
+
+  return {
+    ...entry,
+    ...Object.fromEntries(carried),
+    ...(form.retired ? { retired: true } : {})
+  }
+}
+
+/**
+ * Id not used by any other entry, based on the given one
+ */
+function uniqueId(baseId, entries) {
+  const ids = new Set(entries.map(entry => entry.id))
+  let candidate = baseId
+  for (let n = 2; ids.has(candidate); n++) {
+    candidate = `${baseId}_${n}`
+  }
+  return candidate
+}
+
+/**
+ * Knowledge Base Editor Component
+ * Create, edit, clone and retire interpretation entries. Changes go to a
+ * versioned draft in localStorage that can be published (retrieval then uses
+ * it) or exported as JSON; each entry previews the students it would match.
+ * Earlier versions can be restored, and edits the bundled file has since
+ * changed are listed for the editor to resolve.
+ */
+function KnowledgeBaseEditor({ records, onSelectStudent, onClose }) {
+  const scheme = useClassificationScheme()
+  const [published, setPublished] = useState(getPublishedKnowledgeBase)
+  const [draft, setDraft] = useState(getDraft)
+  const [history, setHistory] = useState(getPublishedHistory)
+  // Bundled-file changes since the last publish, and edits they conflict with
+  const [bundledUpdate, setBundledUpdate] = useState(getBundledUpdate)
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  // Entry being edited: originalId is null for new and cloned entries
+  const [editing, setEditing] = useState(null)
+  // Language of the text fields being edited
+  const [textLanguage, setTextLanguage] = useState(DEFAULT_LANGUAGE)
+
+  const entries = draft?.entries || published.entries
+  const publishedById = useMemo(() => new Map(published.entries.map(entry => [entry.id, entry])), [published])
+
+  const invalid = useMemo(() => validateKnowledgeBase(entries), [entries])
+  const coverage = useMemo(() => buildCoverageReport(entries, scheme), [entries, scheme])
+  const coverageProblems = coverage.missing.length + coverage.overlaps.length + coverage.gaps.length + coverage.missingComparisons.length
+
+  const visibleEntries = useMemo(() => {
+    const search = filters.search.trim().toLowerCase()
+    return entries.filter(entry => {
+      if (!filters.showRetired && isRetired(entry)) return false
+      if (filters.audience && entry.audience !== filters.audience) return false
+      if (filters.test) {
+        const test = entry.test_type === COMPARISON_TEST_TYPE ? COMPARISON_TEST_TYPE : entry.test_abbreviation
+        if (test !== filters.test) return false
+      }
+      if (search && ![entry.id, entry.title, entry.summary].some(text => text?.toLowerCase().includes(search))) {
+        return false
+      }
+      return true
+    })
+  }, [entries, filters])
+
+  const formEntry = editing ? formToEntry(editing.form, editing.original) : null
+  const formErrors = useMemo(() => {
+    if (!formEntry) return []
+    const errors = validateEntry(formEntry)
+    if (entries.some(entry => entry.id === formEntry.id && entry.id !== editing.originalId)) {
+      errors.push(`Duplicate id "${formEntry.id}"`)
+    }
+    return errors
+  }, [editing, entries])
+
+  const previewMatches = useMemo(() => (
+    formEntry && validateEntry(formEntry).length === 0 ? previewEntryMatches(formEntry, records, scheme) : []
+  ), [editing, records, scheme])
+
+  /**
+   * Change status of an entry relative to the published version
+   */
+  const getEntryStatus = (entry) => {
+    const base = publishedById.get(entry.id)
+    if (!base) return 'new'
+    return JSON.stringify(base) === JSON.stringify(entry) ? null : 'changed'
+  }
+
+  const commitEntries = (nextEntries) => {
+    setDraft(saveDraft(nextEntries))
+    setBundledUpdate(getBundledUpdate())
+  }
+
+  const startEditing = (entry, originalId = entry.id) => {
+    setEditing({ originalId, original: entry, form: entryToForm(entry) })
+  }
+
+  const updateForm = (key, value) => {
+    setEditing(prev => ({ ...prev, form: { ...prev.form, [key]: value } }))
+  }
+
+  // Translatable fields read and write the variant for the chosen text language
+  const isTranslating = textLanguage !== DEFAULT_LANGUAGE
+  const getText = (field) => (isTranslating ? editing.form.translations[textLanguage][field] : editing.form[field])
+  const updateText = (field, value) => {
+    if (!isTranslating) {
+      updateForm(field, value)
+      return
+    }
+    setEditing(prev => ({
+      ...prev,
+      form: {
+        ...prev.form,
+        translations: {
+          ...prev.form.translations,
+          [textLanguage]: { ...prev.form.translations[textLanguage], [field]: value }
+        }
+      }
+    }))
+  }
+  const textFieldProps = (field) => ({
+    value: getText(field),
+    onChange: (e) => updateText(field, e.target.value),
+    placeholder: isTranslating ? `${editing.form[field]} (English fallback)` : undefined,
+    lang: textLanguage
+  })
+
+  const handleNew = () => {
+    startEditing({
+      id: uniqueId('new_entry', entries),
+      test_type: TEST_NAMES.CLS,
+      test_abbreviation: 'CLS',
+      score_range: { max_z: -1.03 },
+      audience: 'clinician',
+      title: '',
+      summary: '',
+      details: '',
+      source: 'CELF-P3 Technical Manual',
+      recommendations: []
+    }, null)
+  }
+
+  const handleClone = () => {
+    const { retired, ...copy } = formEntry
+    startEditing({ ...copy, id: uniqueId(`${formEntry.id}_copy`, entries) }, null)
+  }
+
+  const handleSave = () => {
+    const nextEntries = editing.originalId === null
+      ? [...entries, formEntry]
+      : entries.map(entry => (entry.id === editing.originalId ? formEntry : entry))
+    commitEntries(nextEntries)
+    startEditing(formEntry)
+  }
+
+  const handleToggleRetired = () => {
+    const { retired, ...entry } = editing.original
+    const nextEntry = isRetired(editing.original) ? entry : { ...entry, retired: true }
+    commitEntries(entries.map(item => (item.id === editing.originalId ? nextEntry : item)))
+    startEditing(nextEntry)
+  }
+
+  const handlePublish = () => {
+    setPublished(publishDraft())
+    setDraft(null)
+    setHistory(getPublishedHistory())
+    setBundledUpdate(getBundledUpdate())
+  }
+
+  const handleDiscard = () => {
+    if (!window.confirm('Discard all unpublished changes?')) return
+    discardDraft()
+    setDraft(null)
+    setEditing(null)
+    setBundledUpdate(getBundledUpdate())
+  }
+
+  const handleRestore = (version) => {
+    if (!window.confirm(`Publish the entries of v${version} again as v${published.version + 1}?`)) return
+    setPublished(restoreVersion(version))
+    setHistory(getPublishedHistory())
+    setBundledUpdate(getBundledUpdate())
+    setEditing(null)
+  }
+
+  const handleDismissUpdate = () => {
+    acknowledgeBundledUpdate()
+    setBundledUpdate(getBundledUpdate())
+  }
+
+  const handleKeepLocal = (id) => {
+    keepLocalChange(id)
+    setBundledUpdate(getBundledUpdate())
+  }
+
+  const handleTakeBundled = (id) => {
+    setDraft(takeBundledEntry(id))
+    setBundledUpdate(getBundledUpdate())
+    if (editing?.originalId === id) setEditing(null)
+  }
+
+  const isDirty = editing && (
+    editing.originalId === null ||
+    JSON.stringify(formEntry) !== JSON.stringify(editing.original)
+  )
+
+  return (
+    <section className="kb-editor" aria-labelledby="kb-editor-title">
+      <div className="kb-editor-header">
+        <div>
+          <h2 id="kb-editor-title" className="kb-editor-title">Knowledge Base</h2>
+          <p className="kb-editor-subtitle">
+            Published v{published.version}
+            {published.publishedAt ? ` · ${new Date(published.publishedAt).toLocaleString()}` : ' (bundled)'}
+            {' · '}{entries.filter(entry => !isRetired(entry)).length} active entries
+            {' · '}Coverage {coverageProblems === 0 ? 'complete' : `${coverageProblems} issue${coverageProblems !== 1 ? 's' : ''}`}
+          </p>
+        </div>
+        <div className="kb-editor-actions">
+          <button
+            type="button"
+            className="header-button"
+            onClick={() => exportKnowledgeBase(entries, draft ? `v${published.version}_draft` : `v${published.version}`)}
+          >
+            Export JSON
+          </button>
+          <button type="button" className="header-button" onClick={onClose}>
+            Back to dashboard
+          </button>
+        </div>
+      </div>
+
+      {draft && (
+        <div className="kb-editor-draft" role="status">
+          <span>
+            Draft based on v{draft.baseVersion} · saved {new Date(draft.updatedAt).toLocaleString()}
+            {invalid.length > 0 && ` · ${invalid.length} invalid entr${invalid.length !== 1 ? 'ies' : 'y'} must be fixed before publishing`}
+          </span>
+          <div className="kb-editor-draft-actions">
+            <button type="button" className="kb-editor-button" onClick={handleDiscard}>
+              Discard draft
+            </button>
+            <button
+              type="button"
+              className="kb-editor-button kb-editor-button-primary"
+              onClick={handlePublish}
+              disabled={invalid.length > 0}
+            >
+              Publish v{published.version + 1}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {(bundledUpdate.updated || bundledUpdate.conflicts.length > 0) && (
+        <div className="kb-editor-notice" role="status">
+          {bundledUpdate.updated && (
+            <div className="kb-editor-notice-row">
+              <span>
+                The bundled knowledge base has changed since v{published.version} was published. Its new and
+                updated entries are included; your changes still apply on top.
+              </span>
+              <button type="button" className="kb-editor-button" onClick={handleDismissUpdate}>
+                Dismiss
+              </button>
+            </div>
+          )}
+          {bundledUpdate.conflicts.length > 0 && (
+            <>
+              <p className="kb-editor-notice-title">
+                {bundledUpdate.conflicts.length} of your change{bundledUpdate.conflicts.length !== 1 ? 's are' : ' is'} to
+                entries the bundled file has also changed:
+              </p>
+              <ul className="kb-editor-conflicts">
+                {bundledUpdate.conflicts.map(({ id, local, bundled }) => (
+                  <li key={id} className="kb-editor-notice-row">
+                    <span>
+                      <span className="kb-editor-conflict-id">{id}</span>
+                      {' · '}
+                      {!local ? 'removed here, changed in the bundled file'
+                        : !bundled ? 'changed here, removed from the bundled file'
+                          : 'changed here and in the bundled file'}
+                    </span>
+                    <span className="kb-editor-draft-actions">
+                      <button type="button" className="kb-editor-button" onClick={() => handleKeepLocal(id)}>
+                        Keep mine
+                      </button>
+                      <button type="button" className="kb-editor-button" onClick={() => handleTakeBundled(id)}>
+                        Use bundled
+                      </button>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+
+      {history.length > 0 && (
+        <details className="kb-editor-history">
+          <summary className="kb-editor-history-summary">Earlier versions ({history.length})</summary>
+          {draft && (
+            <p className="kb-editor-history-note">Publish or discard the draft before restoring a version.</p>
+          )}
+          <ul className="kb-editor-history-list">
+            {history.map(item => (
+              <li key={item.version} className="kb-editor-notice-row">
+                <span>
+                  v{item.version}
+                  {item.publishedAt ? ` · ${new Date(item.publishedAt).toLocaleString()}` : ' · bundled file'}
+                  {item.version > 0 && ` · ${item.changeCount} change${item.changeCount !== 1 ? 's' : ''} to the bundled file`}
+                  {item.restoredFrom !== null && ` · restored from v${item.restoredFrom}`}
+                </span>
+                <button
+                  type="button"
+                  className="kb-editor-button"
+                  onClick={() => handleRestore(item.version)}
+                  disabled={Boolean(draft)}
+                >
+                  Restore
+                </button>
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      <div className="kb-editor-layout">
+        <div className="kb-editor-list-panel">
+          <div className="kb-editor-filters" role="group" aria-label="Entry filters">
+            <input
+              type="search"
+              placeholder="Search entries…"
+              value={filters.search}
+              onChange={(e) => setFilters(prev => ({ ...prev, search: e.target.value }))}
+              aria-label="Search entries"
+            />
+            <select
+              value={filters.test}
+              onChange={(e) => setFilters(prev => ({ ...prev, test: e.target.value }))}
+              aria-label="Filter by test"
+            >
+              <option value="">All tests</option>
+              {TEST_OPTIONS.map(option => (
+                <option key={option.key} value={option.key}>{option.name}</option>
+              ))}
+            </select>
+            <select
+              value={filters.audience}
+              onChange={(e) => setFilters(prev => ({ ...prev, audience: e.target.value }))}
+              aria-label="Filter by audience"
+            >
+              <option value="">All audiences</option>
+              {KB_AUDIENCES.map(audience => (
+                <option key={audience} value={audience}>{audience}</option>
+              ))}
+            </select>
+            <label className="kb-editor-checkbox">
+              <input
+                type="checkbox"
+                checked={filters.showRetired}
+                onChange={(e) => setFilters(prev => ({ ...prev, showRetired: e.target.checked }))}
+              />
+              Show retired
+            </label>
+            <button type="button" className="kb-editor-button" onClick={handleNew}>
+              + New entry
+            </button>
+          </div>
+
+          <ul className="kb-editor-list">
+            {visibleEntries.map(entry => {
+              const status = getEntryStatus(entry)
+              return (
+                <li key={entry.id}>
+                  <button
+                    type="button"
+                    className={`kb-editor-item ${editing?.originalId === entry.id ? 'active' : ''} ${isRetired(entry) ? 'retired' : ''}`}
+                    onClick={() => startEditing(entry)}
+                  >
+                    <span className="kb-editor-item-title">{entry.title || entry.id}</span>
+                    <span className="kb-editor-item-meta">
+                      {entry.test_abbreviation || 'RLI − ELI'} · {entry.audience} · {formatScoreRange(entry)}
+                    </span>
+                    <span className="kb-editor-item-badges">
+                      {status && <span className={`kb-editor-badge kb-editor-badge-${status}`}>{status}</span>}
+                      {isRetired(entry) && <span className="kb-editor-badge kb-editor-badge-retired">retired</span>}
+                    </span>
+                  </button>
+                </li>
+              )
+            })}
+            {visibleEntries.length === 0 && (
+              <li className="kb-editor-empty">No entries match these filters.</li>
+            )}
+          </ul>
+        </div>
+
+        <div className="kb-editor-form-panel">
+          {!editing ? (
+            <p className="kb-editor-empty">Select an entry to edit, or create a new one.</p>
+          ) : (
+            <>
+              <div className="kb-editor-form-header">
+                <h3 className="kb-editor-form-title">
+                  {editing.originalId === null ? 'New entry' : editing.originalId}
+                </h3>
+                <div className="kb-editor-form-actions">
+                  {editing.originalId !== null && (
+                    <>
+                      <button type="button" className="kb-editor-button" onClick={handleClone}>
+                        Clone
+                      </button>
+                      <button type="button" className="kb-editor-button" onClick={handleToggleRetired} disabled={isDirty}>
+                        {isRetired(editing.original) ? 'Restore' : 'Retire'}
+                      </button>
+                    </>
+                  )}
+                  <button
+                    type="button"
+                    className="kb-editor-button kb-editor-button-primary"
+                    onClick={handleSave}
+                    disabled={!isDirty || formErrors.length > 0}
+                  >
+                    Save to draft
+                  </button>
+                </div>
+              </div>
+
+              <div className="kb-editor-form">
+                <label className="kb-editor-field">
+                  <span className="kb-editor-label">Id</span>
+                  <input value={editing.form.id} onChange={(e) => updateForm('id', e.target.value)} />
+                </label>
+                <label className="kb-editor-field">
+                  <span className="kb-editor-label">Test</span>
+                  <select value={editing.form.test} onChange={(e) => updateForm('test', e.target.value)}>
+                    {TEST_OPTIONS.map(option => (
+                      <option key={option.key} value={option.key}>{option.name}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="kb-editor-field">
+                  <span className="kb-editor-label">Audience</span>
+                  <select value={editing.form.audience} onChange={(e) => updateForm('audience', e.target.value)}>
+                    {KB_AUDIENCES.map(audience => (
+                      <option key={audience} value={audience}>{audience}</option>
+                    ))}
+                  </select>
+                </label>
+                <div className="kb-editor-field kb-editor-range">
+                  <span className="kb-editor-label">
+                    {editing.form.test === COMPARISON_TEST_TYPE ? 'Score range (RLI − ELI z difference)' : 'Score range (z)'}
+                  </span>
+                  <div className="kb-editor-range-inputs">
+                    <input
+                      type="number"
+                      step="0.1"
+                      placeholder="no minimum"
+                      value={editing.form.min}
+                      onChange={(e) => updateForm('min', e.target.value)}
+                      aria-label="Minimum"
+                    />
+                    <span>to</span>
+                    <input
+                      type="number"
+                      step="0.1"
+                      placeholder="no maximum"
+                      value={editing.form.max}
+                      onChange={(e) => updateForm('max', e.target.value)}
+                      aria-label="Maximum"
+                    />
+                  </div>
+                </div>
+                {TRANSLATION_LANGUAGES.length > 0 && (
+                  <div className="kb-editor-field kb-editor-field-wide">
+                    <span className="kb-editor-label">Text language</span>
+                    <div className="kb-editor-languages" role="group" aria-label="Text language">
+                      {LANGUAGES.map(language => (
+                        <button
+                          key={language.code}
+                          type="button"
+                          className={`kb-editor-language ${textLanguage === language.code ? 'active' : ''}`}
+                          onClick={() => setTextLanguage(language.code)}
+                        >
+                          {language.label}
+                        </button>
+                      ))}
+                      {isTranslating && (
+                        <span className="kb-editor-language-note">Empty fields fall back to English</span>
+                      )}
+                    </div>
+                  </div>
+                )}
+                <label className="kb-editor-field kb-editor-field-wide">
+                  <span className="kb-editor-label">Title</span>
+                  <input {...textFieldProps('title')} />
+                </label>
+                <label className="kb-editor-field kb-editor-field-wide">
+                  <span className="kb-editor-label">Summary</span>
+                  <textarea rows={2} {...textFieldProps('summary')} />
+                </label>
+                <label className="kb-editor-field kb-editor-field-wide">
+                  <span className="kb-editor-label">Details</span>
+                  <textarea rows={4} {...textFieldProps('details')} />
+                </label>
+                <label className="kb-editor-field kb-editor-field-wide">
+                  <span className="kb-editor-label">Recommendations (one per line)</span>
+                  <textarea rows={4} {...textFieldProps('recommendations')} />
+                </label>
+                <label className="kb-editor-field kb-editor-field-wide">
+                  <span className="kb-editor-label">Source</span>
+                  <input {...textFieldProps('source')} />
+                </label>
+              </div>
+
+              {formErrors.length > 0 && (
+                <ul className="kb-editor-errors" role="alert">
+                  {formErrors.map(error => <li key={error}>{error}</li>)}
+                </ul>
+              )}
+
+              <div className="kb-editor-preview">
+                <h4 className="kb-editor-preview-title">
+                  Matches {previewMatches.length} current student{previewMatches.length !== 1 ? 's' : ''}
+                  <span className="kb-editor-preview-note">latest assessment, any audience</span>
+                </h4>
+                {previewMatches.length > 0 && (
+                  <ul className="kb-editor-preview-list">
+                    {previewMatches.map(match => (
+                      <li key={match.studentId}>
+                        <button
+                          type="button"
+                          className="kb-editor-preview-student"
+                          onClick={() => onSelectStudent(match.studentId)}
+                        >
+                          {match.studentName}
+                        </button>
+                        <span className="kb-editor-preview-score">
+                          {editing.form.test === COMPARISON_TEST_TYPE ? 'z diff' : 'score'} {match.score}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </section>
+  )
+}
+
+export default KnowledgeBaseEditor
@@ -0,0 +1,101 @@
+import React from 'react'
+import { formatScoreRange } from '../knowledgeBase/kbSchema'
+import { NEAR_MISS_Z } from '../retrievalEngine/retrievalEngine'
+import './RetrievalTrace.css'
+
+// Debug drawer for the insight assistant: why each interpretation was (or was not) shown
+
+/**
+ * Score cell: the test score, or both index scores for the RLI − ELI comparison
+ */
+function formatTraceScore(trace) {
+  if (trace.score === null) return `${trace.receptiveScore} − ${trace.expressiveScore}`
+  return trace.scoreType === 'scaled' ? `${trace.score} (scaled)` : trace.score
+}
+
+/**
+ * Retrieval Trace Component
+ * Lists every retrieved entry with the score, z-score, band and score range
+ * that matched it, and the near-miss entries that were rejected with the reason
+ */
+function RetrievalTrace({ entries, nearMisses, audience }) {
+  return (
+    <details className="retrieval-trace">
+      <summary className="retrieval-trace-summary">Why was this shown? Retrieval trace</summary>
+
+      <div className="retrieval-trace-body">
+        <h5 className="retrieval-trace-heading">Matched ({entries.length})</h5>
+        {entries.length === 0 ? (
+          <p className="retrieval-trace-empty">No entries matched.</p>
+        ) : (
+          <div className="retrieval-trace-scroll">
+            <table className="retrieval-trace-table">
+              <thead>
+                <tr>
+                  <th>Entry</th>
+                  <th>Test</th>
+                  <th>Score</th>
+                  <th>z</th>
+                  <th>Band</th>
+                  <th>Entry range</th>
+                  <th>Audience</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(entry => (
+                  <tr key={entry.id}>
+                    <td className="retrieval-trace-id">{entry.id}</td>
+                    <td>{entry.trace.testKey}</td>
+                    <td>{formatTraceScore(entry.trace)}</td>
+                    <td>{entry.trace.zScore}</td>
+                    <td>{entry.trace.band?.label || '—'}</td>
+                    <td>{formatScoreRange(entry)}</td>
+                    <td>{entry.trace.audience}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <h5 className="retrieval-trace-heading">Near misses ({nearMisses.length})</h5>
+        <p className="retrieval-trace-note">
+          {audience} entries for the same tests whose range is within {NEAR_MISS_Z} SD of the score, whose
+          declared band does not match, or that were retired.
+        </p>
+        {nearMisses.length === 0 ? (
+          <p className="retrieval-trace-empty">No near misses.</p>
+        ) : (
+          <div className="retrieval-trace-scroll">
+            <table className="retrieval-trace-table">
+              <thead>
+                <tr>
+                  <th>Entry</th>
+                  <th>Test</th>
+                  <th>Score</th>
+                  <th>z</th>
+                  <th>Entry range</th>
+                  <th>Why rejected</th>
+                </tr>
+              </thead>
+              <tbody>
+                {nearMisses.map(miss => (
+                  <tr key={miss.entryId}>
+                    <td className="retrieval-trace-id">{miss.entryId}</td>
+                    <td>{miss.testKey}</td>
+                    <td>{miss.score === null ? '—' : miss.score}</td>
+                    <td>{miss.zScore}</td>
+                    <td>{formatScoreRange({ test_type: miss.testName, score_range: miss.scoreRange })}</td>
+                    <td>{miss.reason}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </details>
+  )
+}
+
+export default RetrievalTrace
@@ -0,0 +1,84 @@
+import React from 'react'
+import { exportReverificationList } from '../utils/exportUtils'
+import './ReverificationList.css'
+
+// Cross-student list of records whose entered scores disagree with stored scores
+
+/**
+ * Reverification List Component
+ * Lists every "(entered)" audit value that differs from the stored score,
+ * grouped by CSV row so the data team can re-check the record form.
+ */
+function ReverificationList({ items, datasetName, onSelectStudent, onClose }) {
+  const flaggedRecords = new Set(items.map(item => `${item.studentId}|${item.row}|${item.date?.getTime()}`)).size
+
+  return (
+    <section className="reverification" aria-labelledby="reverification-title">
+      <div className="reverification-header">
+        <div>
+          <h2 id="reverification-title" className="reverification-title">Records Needing Re-verification</h2>
+          <p className="reverification-subtitle">
+            {items.length} mismatched score{items.length !== 1 ? 's' : ''} across {flaggedRecords} assessment{flaggedRecords !== 1 ? 's' : ''}
+          </p>
+        </div>
+        <div className="reverification-actions">
+          <button
+            type="button"
+            className="header-button"
+            onClick={() => exportReverificationList(items, datasetName)}
+            disabled={items.length === 0}
+          >
+            Download List (CSV)
+          </button>
+          <button type="button" className="header-button" onClick={onClose}>
+            Back to dashboard
+          </button>
+        </div>
+      </div>
+
+      {items.length === 0 ? (
+        <p className="no-data-message">
+          All entered scores match the stored scores.
+        </p>
+      ) : (
+        <div className="reverification-table-wrapper">
+          <table className="reverification-table">
+            <thead>
+              <tr>
+                <th>Student</th>
+                <th>Assessment Date</th>
+                <th>Row</th>
+                <th>Test</th>
+                <th>Entered</th>
+                <th>Stored</th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.map((item, index) => (
+                <tr key={index}>
+                  <td>
+                    <button
+                      type="button"
+                      className="reverification-student"
+                      onClick={() => onSelectStudent(item.studentId)}
+                    >
+                      {item.studentName}
+                    </button>
+                    <span className="reverification-id">{item.studentId}</span>
+                  </td>
+                  <td>{item.date ? item.date.toLocaleDateString() : '—'}</td>
+                  <td>{item.row ?? '—'}</td>
+                  <td>{item.testName || item.test}</td>
+                  <td>{item.entered}</td>
+                  <td className="reverification-stored">{item.stored ?? 'Missing'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default ReverificationList
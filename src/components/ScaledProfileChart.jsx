@@ -0,0 +1,274 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import * as d3 from 'd3'
+import { SUBTEST_PREFIXES, TEST_NAMES } from '../utils/dataParser'
+import { NORMATIVE_PARAMS } from '../utils/scoreCalculator'
+import { getBandSegments } from '../utils/classification'
+import { useClassificationScheme } from '../utils/classificationContext'
+import { exportChartAsPNG } from '../utils/exportUtils'
+import ScoreChart from './ScoreChart'
+import './ScaledProfileChart.css'
+
+// D3.js record-form-style profile of every subtest's scaled score (mean 10, SD 3)
+
+const SCALED_MIN = 1
+const SCALED_MAX = 19
+
+/**
+ * Scaled Profile Chart Component
+ * Plots each subtest's scaled score side by side against shaded normative bands.
+ * Clicking a subtest opens its standard-score detail chart below the profile.
+ */
+function ScaledProfileChart({ assessment, studentName, confidenceLevel }) {
+  const scheme = useClassificationScheme()
+  const svgRef = useRef(null)
+  const containerRef = useRef(null)
+  const [selectedTest, setSelectedTest] = useState(null)
+
+  const subtests = useMemo(() => (
+    SUBTEST_PREFIXES
+      .filter(prefix => {
+        const score = assessment?.tests?.[prefix]?.scaledScore
+        return score !== null && score !== undefined
+      })
+      .map(prefix => ({
+        key: prefix,
+        name: assessment.tests[prefix].testName || TEST_NAMES[prefix] || prefix,
+        score: assessment.tests[prefix].scaledScore
+      }))
+  ), [assessment])
+
+  // Close the detail chart when the assessment changes
+  useEffect(() => {
+    setSelectedTest(null)
+  }, [assessment])
+
+  useEffect(() => {
+    if (!svgRef.current || subtests.length === 0) return
+
+    // Clear previous content
+    d3.select(svgRef.current).selectAll('*').remove()
+
+    const container = containerRef.current
+    const width = container.clientWidth
+    const height = 320
+    const margin = { top: 20, right: 20, bottom: 60, left: 50 }
+    const chartWidth = width - margin.left - margin.right
+    const chartHeight = height - margin.top - margin.bottom
+
+    const svg = d3.select(svgRef.current)
+      .attr('width', width)
+      .attr('height', height)
+      .attr('viewBox', `0 0 ${width} ${height}`)
+      .attr('preserveAspectRatio', 'xMidYMid meet')
+
+    // Opaque background so the PNG export is not transparent
+    svg.append('rect')
+      .attr('width', width)
+      .attr('height', height)
+      .attr('fill', 'white')
+
+    const g = svg.append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`)
+
+    const { mean, sd } = NORMATIVE_PARAMS.scaled
+
+    const xScale = d3.scaleBand()
+      .domain(subtests.map(d => d.key))
+      .range([0, chartWidth])
+      .padding(0.2)
+
+    const yScale = d3.scaleLinear()
+      .domain([SCALED_MIN, SCALED_MAX])
+      .range([chartHeight, 0])
+
+    // Classification bands at their scaled-score equivalents
+    getBandSegments(SCALED_MIN, SCALED_MAX, 'scaled', scheme).forEach(({ band, from, to }) => {
+      g.append('rect')
+        .attr('x', 0)
+        .attr('width', chartWidth)
+        .attr('y', yScale(to))
+        .attr('height', yScale(from) - yScale(to))
+        .attr('fill', band.color)
+        .attr('fill-opacity', 0.2)
+    })
+
+    // Mean and ±1 SD / ±2 SD reference lines
+    const referenceLines = [
+      { value: mean - 2 * sd, color: '#dc2626' },
+      { value: mean - sd, color: '#f59e0b' },
+      { value: mean, color: '#2563eb' },
+      { value: mean + sd, color: '#10b981' },
+      { value: mean + 2 * sd, color: '#059669' }
+    ]
+
+    referenceLines.forEach(({ value, color }) => {
+      g.append('line')
+        .attr('x1', 0)
+        .attr('x2', chartWidth)
+        .attr('y1', yScale(value))
+        .attr('y2', yScale(value))
+        .attr('stroke', color)
+        .attr('stroke-width', 1)
+        .attr('stroke-dasharray', '3,3')
+        .attr('opacity', 0.6)
+    })
+
+    const centerX = d => xScale(d.key) + xScale.bandwidth() / 2
+
+    // Clickable column per subtest
+    g.selectAll('.profile-column')
+      .data(subtests)
+      .enter()
+      .append('rect')
+      .attr('class', 'profile-column')
+      .attr('x', d => xScale(d.key))
+      .attr('y', 0)
+      .attr('width', xScale.bandwidth())
+      .attr('height', chartHeight)
+      .attr('fill', d => (d.key === selectedTest ? 'rgba(37, 99, 235, 0.1)' : 'transparent'))
+      .attr('cursor', 'pointer')
+      .attr('tabindex', 0)
+      .attr('role', 'button')
+      .attr('aria-label', d => `${d.name}: scaled score ${d.score}`)
+      .on('click', (event, d) => setSelectedTest(current => (current === d.key ? null : d.key)))
+      .on('keydown', (event, d) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+          event.preventDefault()
+          setSelectedTest(current => (current === d.key ? null : d.key))
+        }
+      })
+      .append('title')
+      .text(d => `${d.name}: ${d.score} (click for detail)`)
+
+    // Profile line connecting the subtests, as on the record form
+    const line = d3.line()
+      .x(centerX)
+      .y(d => yScale(d.score))
+
+    g.append('path')
+      .datum(subtests)
+      .attr('fill', 'none')
+      .attr('stroke', '#1f2937')
+      .attr('stroke-width', 2)
+      .attr('pointer-events', 'none')
+      .attr('d', line)
+
+    g.selectAll('.profile-point')
+      .data(subtests)
+      .enter()
+      .append('circle')
+      .attr('class', 'profile-point')
+      .attr('cx', centerX)
+      .attr('cy', d => yScale(d.score))
+      .attr('r', 6)
+      .attr('fill', d => (d.key === selectedTest ? '#2563eb' : '#1f2937'))
+      .attr('stroke', 'white')
+      .attr('stroke-width', 2)
+      .attr('pointer-events', 'none')
+
+    g.selectAll('.profile-label')
+      .data(subtests)
+      .enter()
+      .append('text')
+      .attr('class', 'profile-label')
+      .attr('x', centerX)
+      .attr('y', d => yScale(d.score) - 12)
+      .attr('text-anchor', 'middle')
+      .attr('font-size', '11px')
+      .attr('font-weight', '600')
+      .attr('fill', '#1f2937')
+      .attr('pointer-events', 'none')
+      .text(d => d.score)
+
+    // Axes
+    const xAxis = d3.axisBottom(xScale)
+    const yAxis = d3.axisLeft(yScale)
+      .tickValues(d3.range(SCALED_MIN, SCALED_MAX + 1, 2))
+      .tickFormat(d3.format('d'))
+
+    g.append('g')
+      .attr('transform', `translate(0,${chartHeight})`)
+      .call(xAxis)
+      .selectAll('text')
+      .attr('font-size', '11px')
+      .attr('fill', '#374151')
+
+    g.append('g')
+      .call(yAxis)
+      .selectAll('text')
+      .attr('font-size', '11px')
+      .attr('fill', '#6b7280')
+
+    g.append('text')
+      .attr('transform', `translate(${chartWidth / 2}, ${chartHeight + 40})`)
+      .attr('text-anchor', 'middle')
+      .attr('font-size', '12px')
+      .attr('fill', '#374151')
+      .text('Subtest')
+
+    g.append('text')
+      .attr('transform', `translate(-36, ${chartHeight / 2}) rotate(-90)`)
+      .attr('text-anchor', 'middle')
+      .attr('font-size', '12px')
+      .attr('fill', '#374151')
+      .text('Scaled Score')
+
+  }, [subtests, selectedTest, scheme])
+
+  if (subtests.length === 0) return null
+
+  const handleExport = () => {
+    const name = (studentName || 'student').replace(/\s+/g, '_')
+    const date = assessment.date.toISOString().slice(0, 10)
+    exportChartAsPNG(svgRef.current, `${name}_Scaled_Profile_${date}.png`)
+  }
+
+  const detail = selectedTest ? assessment.tests[selectedTest] : null
+
+  return (
+    <section className="scaled-profile" aria-labelledby="scaled-profile-title">
+      <div className="scaled-profile-header">
+        <div>
+          <h3 id="scaled-profile-title" className="scaled-profile-title">Scaled-Score Profile</h3>
+          <span className="scaled-profile-subtitle">
+            {assessment.date.toLocaleDateString()} · mean 10, SD 3 · click a subtest for its detail chart
+          </span>
+        </div>
+        <button type="button" className="scaled-profile-export" onClick={handleExport}>
+          Export PNG
+        </button>
+      </div>
+
+      <div className="scaled-profile-chart" ref={containerRef}>
+        <svg ref={svgRef} className="chart-svg" role="img" aria-label="Scaled-score profile"></svg>
+      </div>
+
+      {detail && (
+        <div className="scaled-profile-detail">
+          <div className="scaled-profile-detail-header">
+            <h4 className="chart-title">{detail.testName || TEST_NAMES[selectedTest]}</h4>
+            <button
+              type="button"
+              className="scaled-profile-close"
+              onClick={() => setSelectedTest(null)}
+              aria-label="Close detail chart"
+            >
+              ×
+            </button>
+          </div>
+          <ScoreChart
+            testName={detail.testName || TEST_NAMES[selectedTest]}
+            testKey={selectedTest}
+            score={detail.standardScore}
+            percentile={detail.percentile}
+            date={assessment.date}
+            age={assessment.age}
+            confidenceLevel={confidenceLevel}
+          />
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default ScaledProfileChart
@@ -1,14 +1,20 @@
 import React, { useEffect, useRef } from 'react'
 import * as d3 from 'd3'
-import { getNormativeParams, getScoreInterpretation } from '../utils/dataParser'
+import { getNormativeParams } from '../utils/dataParser'
+import { classifyScore, getBands, getBandSegments, formatBandRange, NO_DATA_LABEL } from '../utils/classification'
+import { useClassificationScheme } from '../utils/classificationContext'
+import { getConfidenceInterval, formatConfidenceInterval, DEFAULT_CONFIDENCE_LEVEL } from '../utils/reliability'
 import './ScoreChart.css'
 
 // D3.js bell curve visualization component
 
-function ScoreChart({ testName, score, percentile, date, age }) {
+function ScoreChart({ testName, testKey, score, percentile, date, age, confidenceLevel = DEFAULT_CONFIDENCE_LEVEL }) {
+  const scheme = useClassificationScheme()
   const svgRef = useRef(null)
   const containerRef = useRef(null)
 
+  const interval = getConfidenceInterval(score, testKey, confidenceLevel)
+
   useEffect(() => {
     if (!svgRef.current || score === null || score === undefined) return
 
@@ -63,32 +69,19 @@ function ScoreChart({ testName, score, percentile, date, age }) {
       .y1(d => yScale(d.y))
       .curve(d3.curveBasis)
 
-    // Shade regions: Below Average (< -1 SD)
-    const belowAvgData = curveData.filter(d => d.x < mean - sd)
-    if (belowAvgData.length > 0) {
-      g.append('path')
-        .datum(belowAvgData)
-        .attr('fill', 'rgba(239, 68, 68, 0.2)')
-        .attr('d', area)
-    }
-
-    // Shade regions: Average (-1 SD to +1 SD)
-    const avgData = curveData.filter(d => d.x >= mean - sd && d.x <= mean + sd)
-    if (avgData.length > 0) {
+    // Shade one region per band of the active classification scheme
+    getBandSegments(xMin, xMax, 'standard', scheme).forEach(({ band, from, to }) => {
+      const segmentData = [
+        { x: from, y: normalPDF(from, mean, sd) },
+        ...curveData.filter(d => d.x > from && d.x < to),
+        { x: to, y: normalPDF(to, mean, sd) }
+      ]
       g.append('path')
-        .datum(avgData)
-        .attr('fill', 'rgba(253, 224, 71, 0.2)')
+        .datum(segmentData)
+        .attr('fill', band.color)
+        .attr('fill-opacity', 0.25)
         .attr('d', area)
-    }
-
-    // Shade regions: Above Average (> +1 SD)
-    const aboveAvgData = curveData.filter(d => d.x > mean + sd)
-    if (aboveAvgData.length > 0) {
-      g.append('path')
-        .datum(aboveAvgData)
-        .attr('fill', 'rgba(134, 239, 172, 0.2)')
-        .attr('d', area)
-    }
+    })
 
     // Draw bell curve
     const line = d3.line()
@@ -138,6 +131,22 @@ function ScoreChart({ testName, score, percentile, date, age }) {
     // Draw student score line
     if (score !== null && score !== undefined) {
       const scoreX = xScale(score)
+
+      // Confidence-interval band behind the score line
+      if (interval) {
+        const bandLeft = xScale(Math.max(xMin, interval.lower))
+        const bandRight = xScale(Math.min(xMax, interval.upper))
+        g.append('rect')
+          .attr('class', 'confidence-band')
+          .attr('x', bandLeft)
+          .attr('y', 0)
+          .attr('width', bandRight - bandLeft)
+          .attr('height', chartHeight)
+          .attr('fill', 'rgba(31, 41, 55, 0.12)')
+          .attr('stroke', 'rgba(31, 41, 55, 0.35)')
+          .attr('stroke-dasharray', '4,3')
+      }
+
       g.append('line')
         .attr('x1', scoreX)
         .attr('x2', scoreX)
@@ -162,11 +171,12 @@ function ScoreChart({ testName, score, percentile, date, age }) {
         .attr('class', 'tooltip-group')
         .attr('opacity', 0)
 
+      const tooltipHeight = interval ? 48 : 30
       tooltip.append('rect')
-        .attr('x', scoreX - 50)
+        .attr('x', scoreX - 60)
         .attr('y', scoreY - 40)
-        .attr('width', 100)
-        .attr('height', 30)
+        .attr('width', 120)
+        .attr('height', tooltipHeight)
         .attr('fill', 'rgba(0, 0, 0, 0.8)')
         .attr('rx', 4)
 
@@ -188,11 +198,23 @@ function ScoreChart({ testName, score, percentile, date, age }) {
           .text(`Percentile: ${percentile}%`)
       }
 
-      // Show tooltip on hover
+      if (interval) {
+        tooltip.append('text')
+          .attr('x', scoreX)
+          .attr('y', scoreY + 4)
+          .attr('text-anchor', 'middle')
+          .attr('fill', 'white')
+          .attr('font-size', '11px')
+          .text(formatConfidenceInterval(interval))
+      }
+
+      // Show tooltip on hover (anywhere over the score line or its confidence band)
+      const hoverLeft = interval ? Math.min(scoreX - 10, xScale(Math.max(xMin, interval.lower))) : scoreX - 10
+      const hoverRight = interval ? Math.max(scoreX + 10, xScale(Math.min(xMax, interval.upper))) : scoreX + 10
       g.append('rect')
-        .attr('x', scoreX - 10)
+        .attr('x', hoverLeft)
         .attr('y', 0)
-        .attr('width', 20)
+        .attr('width', hoverRight - hoverLeft)
         .attr('height', chartHeight)
         .attr('fill', 'transparent')
         .attr('cursor', 'pointer')
@@ -236,7 +258,7 @@ function ScoreChart({ testName, score, percentile, date, age }) {
 
     // Title is now shown above the chart in the container, so we don't need it in the SVG
 
-  }, [testName, score, percentile, date, age])
+  }, [testName, testKey, score, percentile, date, age, confidenceLevel, scheme])
 
   // Normal probability density function
   function normalPDF(x, mean, sd) {
@@ -246,9 +268,7 @@ function ScoreChart({ testName, score, percentile, date, age }) {
     return coefficient * Math.exp(exponent)
   }
 
-  const interpretation = score !== null && score !== undefined 
-    ? getScoreInterpretation(score) 
-    : 'No Data'
+  const band = classifyScore(score, 'standard', scheme)
 
   return (
     <div className="score-chart" ref={containerRef}>
@@ -263,26 +283,32 @@ function ScoreChart({ testName, score, percentile, date, age }) {
             <span className="percentile-value">{percentile}%</span>
           </div>
         )}
+        {interval && (
+          <div className="percentile-display" title={`SEM ${interval.sem}`}>
+            <span className="percentile-label">{interval.level}% CI:</span>
+            <span className="percentile-value">{interval.lower}–{interval.upper}</span>
+          </div>
+        )}
         <div className="interpretation-badge">
-          <span className={`interpretation ${interpretation.toLowerCase().replace(/\s+/g, '-')}`}>
-            {interpretation}
+          <span className={`interpretation ${band ? band.tone : 'no-data'}`}>
+            {band ? band.label : NO_DATA_LABEL}
           </span>
         </div>
       </div>
       <svg ref={svgRef} className="chart-svg"></svg>
       <div className="chart-legend">
-        <div className="legend-item">
-          <span className="legend-color below-avg"></span>
-          <span>Below Average (&lt; -1 SD)</span>
-        </div>
-        <div className="legend-item">
-          <span className="legend-color average"></span>
-          <span>Average (-1 SD to +1 SD)</span>
-        </div>
-        <div className="legend-item">
-          <span className="legend-color above-avg"></span>
-          <span>Above Average (&gt; +1 SD)</span>
-        </div>
+        {getBands(scheme).map(legendBand => (
+          <div key={legendBand.id} className="legend-item">
+            <span className="legend-color" style={{ background: legendBand.color, opacity: 0.5 }}></span>
+            <span>{legendBand.label} ({formatBandRange(legendBand)})</span>
+          </div>
+        ))}
+        {interval && (
+          <div className="legend-item">
+            <span className="legend-color confidence-band"></span>
+            <span>{interval.level}% confidence interval</span>
+          </div>
+        )}
       </div>
     </div>
   )
@@ -0,0 +1,201 @@
+import React, { useMemo, useState } from 'react'
+import KPICard from './KPICard'
+import ScaledProfileChart from './ScaledProfileChart'
+import { buildStudentComparison, MAX_COMPARED_STUDENTS } from '../utils/comparisonUtils'
+import { useClassificationScheme } from '../utils/classificationContext'
+import './StudentComparison.css'
+
+// Side-by-side comparison of several students' latest assessments
+
+/**
+ * Score table with one column per student; cells whose band differs from the
+ * first student's band on the same test are highlighted
+ */
+function ComparisonTable({ caption, rows, columns }) {
+  if (rows.length === 0) return null
+
+  return (
+    <table className="comparison-table">
+      <caption>{caption}</caption>
+      <thead>
+        <tr>
+          <th scope="col">Test</th>
+          {columns.map(column => (
+            <th key={column.student.id} scope="col">{column.student.name}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={row.test} className={row.crossesBand ? 'comparison-row-crosses' : ''}>
+            <th scope="row" title={row.testName}>
+              {row.test}
+              {row.crossesBand && <span className="comparison-cross-marker" aria-label="crosses a band boundary">◆</span>}
+            </th>
+            {row.cells.map((cell, index) => (
+              <td
+                key={columns[index].student.id}
+                className={cell.crossesBand ? 'comparison-cell-crosses' : ''}
+              >
+                {cell.score !== null ? (
+                  <>
+                    <span className="comparison-score">{cell.score}</span>
+                    <span className={`comparison-band ${cell.band.tone}`}>{cell.band.label}</span>
+                  </>
+                ) : '—'}
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
+}
+
+/**
+ * Student Comparison Component
+ * Aligns KPI cards, scaled-score profiles and index/subtest scores of the
+ * selected students in columns; the first student is the reference for band highlights.
+ */
+function StudentComparison({ students, records, kpiTests, initialStudentIds = [], confidenceLevel, onSelectStudent, onClose }) {
+  const scheme = useClassificationScheme()
+  const [selectedIds, setSelectedIds] = useState(() => (
+    initialStudentIds.filter(id => students.some(s => s.id === id)).slice(0, MAX_COMPARED_STUDENTS)
+  ))
+
+  const comparison = useMemo(() => {
+    const selectedStudents = selectedIds
+      .map(id => students.find(s => s.id === id))
+      .filter(Boolean)
+    return buildStudentComparison(records, selectedStudents, kpiTests, scheme)
+  }, [records, selectedIds, students, kpiTests, scheme])
+
+  const available = students.filter(s => !selectedIds.includes(s.id))
+  const canAdd = selectedIds.length < MAX_COMPARED_STUDENTS && available.length > 0
+  const crossingCount = [...comparison.indexRows, ...comparison.subtestRows].filter(row => row.crossesBand).length
+
+  const addStudent = (studentId) => {
+    if (!studentId) return
+    setSelectedIds(prev => [...prev, studentId].slice(0, MAX_COMPARED_STUDENTS))
+  }
+
+  const removeStudent = (studentId) => {
+    setSelectedIds(prev => prev.filter(id => id !== studentId))
+  }
+
+  const gridStyle = { gridTemplateColumns: `repeat(${Math.max(1, comparison.columns.length)}, minmax(260px, 1fr))` }
+
+  return (
+    <section className="student-comparison" aria-labelledby="student-comparison-title">
+      <div className="comparison-header">
+        <div>
+          <h2 id="student-comparison-title" className="comparison-title">Compare Students</h2>
+          <p className="comparison-subtitle">
+            Latest assessment per student · ◆ marks tests where a score falls in a different band from {comparison.columns[0]?.student.name || 'the first student'}
+            {comparison.columns.length > 1 && ` (${crossingCount} test${crossingCount !== 1 ? 's' : ''})`}
+          </p>
+        </div>
+        <div className="comparison-actions">
+          {canAdd && (
+            <select
+              className="dataset-select"
+              value=""
+              onChange={(e) => addStudent(e.target.value)}
+              aria-label="Add a student to the comparison"
+            >
+              <option value="">Add student…</option>
+              {available.map(student => (
+                <option key={student.id} value={student.id}>{student.name} ({student.id})</option>
+              ))}
+            </select>
+          )}
+          <button type="button" className="header-button" onClick={onClose}>
+            Back to dashboard
+          </button>
+        </div>
+      </div>
+
+      {comparison.columns.length === 0 ? (
+        <p className="no-data-message">Add students to compare their latest assessments.</p>
+      ) : (
+        <>
+          <div className="comparison-grid" style={gridStyle}>
+            {comparison.columns.map((column, index) => (
+              <div key={column.student.id} className="comparison-student">
+                <div>
+                  <button
+                    type="button"
+                    className="comparison-student-name"
+                    onClick={() => onSelectStudent(column.student.id)}
+                    title="Open this student's dashboard"
+                  >
+                    {column.student.name}
+                  </button>
+                  {index === 0 && <span className="comparison-reference">Reference</span>}
+                  <div className="comparison-student-meta">
+                    {column.student.id}
+                    {column.latest && ` · ${column.latest.date.toLocaleDateString()}`}
+                    {column.latest?.age && ` · ${column.latest.age} months`}
+                  </div>
+                </div>
+                <button
+                  type="button"
+                  className="comparison-remove"
+                  onClick={() => removeStudent(column.student.id)}
+                  aria-label={`Remove ${column.student.name} from the comparison`}
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div className="comparison-grid" style={gridStyle}>
+            {comparison.columns.map((column, columnIndex) => (
+              <div key={column.student.id} className="comparison-kpis">
+                {column.kpis.map(kpi => {
+                  const cell = comparison.indexRows.find(r => r.test === kpi.test)?.cells[columnIndex]
+                  return (
+                    <div key={kpi.test} className={cell?.crossesBand ? 'comparison-kpi-crosses' : ''}>
+                      <KPICard
+                        title={cell?.band ? `${kpi.title} · ${cell.band.label}` : kpi.title}
+                        value={kpi.value}
+                        change={kpi.change}
+                        reliableChange={kpi.reliableChange}
+                        history={kpi.history}
+                        color={kpi.color}
+                      />
+                    </div>
+                  )
+                })}
+              </div>
+            ))}
+          </div>
+
+          <div className="comparison-grid" style={gridStyle}>
+            {comparison.columns.map(column => (
+              <div key={column.student.id} className="comparison-profile">
+                {column.latest ? (
+                  <ScaledProfileChart
+                    assessment={column.latest}
+                    studentName={column.student.name}
+                    confidenceLevel={confidenceLevel}
+                  />
+                ) : (
+                  <p className="no-data-message">No assessments.</p>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div className="comparison-table-wrapper">
+            <ComparisonTable caption="Index standard scores" rows={comparison.indexRows} columns={comparison.columns} />
+            <ComparisonTable caption="Subtest scaled scores" rows={comparison.subtestRows} columns={comparison.columns} />
+          </div>
+        </>
+      )}
+    </section>
+  )
+}
+
+export default StudentComparison
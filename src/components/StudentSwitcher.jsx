@@ -1,5 +1,13 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react'
 import { getInitials, getAvatarGradient } from '../utils/avatarUtils'
+import { STATUSES } from '../utils/dataParser'
+import {
+  UNKNOWN_STATUS,
+  loadHiddenStatuses,
+  saveHiddenStatuses,
+  getStatusKey,
+  isStatusVisible
+} from '../utils/statusFilter'
 import './StudentSwitcher.css'
 
 // LocalStorage key for recent students
@@ -43,6 +51,62 @@ function saveRecentStudentIds(ids) {
   }
 }
 
+/**
+ * Small enrollment status chip
+ */
+function StatusChip({ status }) {
+  const label = status || UNKNOWN_STATUS
+  return (
+    <span className={`status-chip status-${label.toLowerCase().replace(/\s+/g, '-')}`}>
+      {label}
+    </span>
+  )
+}
+
+/**
+ * Toggle chips for each enrollment status present in the roster.
+ */
+function StatusFilter({ students, hiddenStatuses, onToggle }) {
+  const counts = useMemo(() => {
+    const map = new Map()
+    for (const student of students || []) {
+      const key = getStatusKey(student)
+      map.set(key, (map.get(key) || 0) + 1)
+    }
+    return map
+  }, [students])
+
+  // Canonical statuses first, then any unexpected values, then Unknown
+  const statuses = [
+    ...STATUSES.filter(status => counts.has(status)),
+    ...[...counts.keys()].filter(status => !STATUSES.includes(status) && status !== UNKNOWN_STATUS),
+    ...(counts.has(UNKNOWN_STATUS) ? [UNKNOWN_STATUS] : [])
+  ]
+
+  if (statuses.length <= 1) return null
+
+  return (
+    <div className="status-filter" role="group" aria-label="Filter students by status">
+      <span className="recent-label">Status:</span>
+      {statuses.map(status => {
+        const isActive = !hiddenStatuses.includes(status)
+        return (
+          <button
+            key={status}
+            type="button"
+            className={`status-filter-chip ${isActive ? 'active' : ''}`}
+            aria-pressed={isActive}
+            onClick={() => onToggle(status)}
+          >
+            {status}
+            <span className="status-filter-count">{counts.get(status)}</span>
+          </button>
+        )
+      })}
+    </div>
+  )
+}
+
 /**
  * Student search dropdown / combobox with keyboard navigation.
  */
@@ -195,8 +259,11 @@ function StudentSearchDropdown({ students, selectedStudent, onSelect }) {
                   <span className="student-option-name">
                     {student.name || 'Unnamed student'}
                   </span>
-                  <span className="student-option-id">
-                    {student.id}
+                  <span className="student-option-meta">
+                    <StatusChip status={student.status} />
+                    <span className="student-option-id">
+                      {student.id}
+                    </span>
                   </span>
                 </div>
               </li>
@@ -250,6 +317,9 @@ function BrowseStudentsModal({
   isOpen,
   onClose,
   students,
+  allStudents,
+  hiddenStatuses,
+  onToggleStatus,
   onSelectStudent
 }) {
   const modalRef = useRef(null)
@@ -324,7 +394,17 @@ function BrowseStudentsModal({
             Close
           </button>
         </div>
+        <div className="students-modal-filter">
+          <StatusFilter
+            students={allStudents}
+            hiddenStatuses={hiddenStatuses}
+            onToggle={onToggleStatus}
+          />
+        </div>
         <div className="students-grid">
+          {students.length === 0 && (
+            <p className="students-empty">No students match the selected statuses.</p>
+          )}
           {students.map((student) => (
             <button
               key={student.id}
@@ -351,9 +431,12 @@ function BrowseStudentsModal({
                 <div className="student-card-meta">
                   ID: {student.id}
                 </div>
+                <StatusChip status={student.status} />
                 <div className="student-card-meta subtle">
-                  {/* Placeholder metadata – age / last assessment could go here if available */}
-                  Assessment history available
+                  {student.assessmentCount > 1
+                    ? `${student.assessmentCount} assessments`
+                    : '1 assessment'}
+                  {student.latestDate && ` · latest ${student.latestDate.toLocaleDateString()}`}
                 </div>
               </div>
             </button>
@@ -367,17 +450,34 @@ function BrowseStudentsModal({
 /**
  * High-level student switcher:
  * - Searchable dropdown with keyboard support
+ * - Status filter (alumni hidden by default)
  * - Recent students
  * - "Browse all students" modal
  */
 function StudentSwitcher({ students, selectedStudent, onStudentChange }) {
   const [recentIds, setRecentIds] = useState(loadRecentStudentIds)
+  const [hiddenStatuses, setHiddenStatuses] = useState(loadHiddenStatuses)
   const [isModalOpen, setIsModalOpen] = useState(false)
 
+  // Roster after applying the status filter
+  const visibleStudents = useMemo(() => (
+    (students || []).filter((s) => isStatusVisible(s, hiddenStatuses))
+  ), [students, hiddenStatuses])
+
+  const handleToggleStatus = (status) => {
+    setHiddenStatuses((prev) => {
+      const next = prev.includes(status)
+        ? prev.filter((s) => s !== status)
+        : [...prev, status]
+      saveHiddenStatuses(next)
+      return next
+    })
+  }
+
   // Derive recent student objects (most recent ids first, deduped)
   const recentStudents = useMemo(() => {
-    if (!students || students.length === 0) return []
-    const byId = new Map(students.map((s) => [s.id, s]))
+    if (!visibleStudents || visibleStudents.length === 0) return []
+    const byId = new Map(visibleStudents.map((s) => [s.id, s]))
     const result = []
     for (const id of recentIds) {
       if (byId.has(id)) {
@@ -386,7 +486,7 @@ function StudentSwitcher({ students, selectedStudent, onStudentChange }) {
       if (result.length >= 8) break
     }
     return result
-  }, [students, recentIds])
+  }, [visibleStudents, recentIds])
 
   /**
    * Update selected student globally and maintain recent list.
@@ -420,7 +520,7 @@ function StudentSwitcher({ students, selectedStudent, onStudentChange }) {
     >
       <div className="student-switcher-main">
         <StudentSearchDropdown
-          students={students}
+          students={visibleStudents}
           selectedStudent={selectedStudent}
           onSelect={handleSelectStudent}
         />
@@ -432,6 +532,11 @@ function StudentSwitcher({ students, selectedStudent, onStudentChange }) {
           Browse all students
         </button>
       </div>
+      <StatusFilter
+        students={students}
+        hiddenStatuses={hiddenStatuses}
+        onToggle={handleToggleStatus}
+      />
       <RecentStudents
         recentStudents={recentStudents}
         onSelect={handleSelectStudent}
@@ -439,7 +544,10 @@ function StudentSwitcher({ students, selectedStudent, onStudentChange }) {
       <BrowseStudentsModal
         isOpen={isModalOpen}
         onClose={() => setIsModalOpen(false)}
-        students={students}
+        students={visibleStudents}
+        allStudents={students}
+        hiddenStatuses={hiddenStatuses}
+        onToggleStatus={handleToggleStatus}
         onSelectStudent={handleSelectStudent}
       />
     </section>
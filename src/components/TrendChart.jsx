@@ -0,0 +1,230 @@
+import React, { useEffect, useRef } from 'react'
+import * as d3 from 'd3'
+import { getNormativeParams } from '../utils/dataParser'
+import { getBandSegments } from '../utils/classification'
+import { useClassificationScheme } from '../utils/classificationContext'
+import './TrendChart.css'
+
+// D3.js time-series chart of a test's scores across every assessment date
+
+// Per-metric labels; only standard scores have normative bands
+const METRICS = {
+  standard: { label: 'Standard Score', short: 'Score', normed: true },
+  gsv: { label: 'Growth Scale Value', short: 'GSV', normed: false }
+}
+
+function TrendChart({ testName, points, metric = 'standard' }) {
+  const scheme = useClassificationScheme()
+  const metricConfig = METRICS[metric] || METRICS.standard
+
+  const svgRef = useRef(null)
+  const containerRef = useRef(null)
+
+  useEffect(() => {
+    if (!svgRef.current || !points || points.length === 0) return
+
+    // Clear previous content
+    d3.select(svgRef.current).selectAll('*').remove()
+
+    const container = containerRef.current
+    const width = container.clientWidth
+    const height = 260
+    const margin = { top: 20, right: 30, bottom: 50, left: 50 }
+    const chartWidth = width - margin.left - margin.right
+    const chartHeight = height - margin.top - margin.bottom
+
+    const svg = d3.select(svgRef.current)
+      .attr('width', width)
+      .attr('height', height)
+      .attr('viewBox', `0 0 ${width} ${height}`)
+      .attr('preserveAspectRatio', 'xMidYMid meet')
+
+    const g = svg.append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`)
+
+    const { mean, sd } = getNormativeParams('standard')
+
+    // Y scale: standard scores span at least mean ± 3 SD, widened to fit any outlying score;
+    // GSVs have no norms, so the scale fits the data
+    const values = points.map(p => p.value)
+    const dataPadding = Math.max(10, (d3.max(values) - d3.min(values)) * 0.15)
+    const yMin = metricConfig.normed
+      ? Math.min(mean - 3 * sd, d3.min(values) - 5)
+      : d3.min(values) - dataPadding
+    const yMax = metricConfig.normed
+      ? Math.max(mean + 3 * sd, d3.max(values) + 5)
+      : d3.max(values) + dataPadding
+    const yScale = d3.scaleLinear()
+      .domain([yMin, yMax])
+      .range([chartHeight, 0])
+
+    // X scale: pad a single assessment (or same-day pair) by a month on each side
+    const [firstDate, lastDate] = d3.extent(points, p => p.date)
+    const padding = lastDate - firstDate > 0 ? (lastDate - firstDate) * 0.08 : 1000 * 60 * 60 * 24 * 30
+    const xScale = d3.scaleTime()
+      .domain([new Date(firstDate.getTime() - padding), new Date(lastDate.getTime() + padding)])
+      .range([0, chartWidth])
+
+    // Shade the classification bands behind the data
+    const bands = metricConfig.normed ? getBandSegments(yMin, yMax, 'standard', scheme) : []
+
+    bands.forEach(({ band, from, to }) => {
+      g.append('rect')
+        .attr('x', 0)
+        .attr('width', chartWidth)
+        .attr('y', yScale(to))
+        .attr('height', yScale(from) - yScale(to))
+        .attr('fill', band.color)
+        .attr('fill-opacity', 0.2)
+    })
+
+    // Mean and ±1 SD reference lines
+    const referenceLines = !metricConfig.normed ? [] : [
+      { value: mean - sd, color: '#f59e0b' },
+      { value: mean, color: '#2563eb' },
+      { value: mean + sd, color: '#10b981' }
+    ]
+
+    referenceLines.forEach(({ value, color }) => {
+      g.append('line')
+        .attr('x1', 0)
+        .attr('x2', chartWidth)
+        .attr('y1', yScale(value))
+        .attr('y2', yScale(value))
+        .attr('stroke', color)
+        .attr('stroke-width', 1)
+        .attr('stroke-dasharray', '3,3')
+        .attr('opacity', 0.5)
+    })
+
+    // Score trajectory
+    const line = d3.line()
+      .x(d => xScale(d.date))
+      .y(d => yScale(d.value))
+
+    g.append('path')
+      .datum(points)
+      .attr('fill', 'none')
+      .attr('stroke', '#1f2937')
+      .attr('stroke-width', 2)
+      .attr('d', line)
+
+    // Tooltip
+    const tooltip = g.append('g')
+      .attr('class', 'tooltip-group')
+      .attr('opacity', 0)
+      .attr('pointer-events', 'none')
+
+    const tooltipRect = tooltip.append('rect')
+      .attr('width', 120)
+      .attr('height', 34)
+      .attr('fill', 'rgba(0, 0, 0, 0.8)')
+      .attr('rx', 4)
+
+    const tooltipScore = tooltip.append('text')
+      .attr('text-anchor', 'middle')
+      .attr('fill', 'white')
+      .attr('font-size', '12px')
+
+    const tooltipDate = tooltip.append('text')
+      .attr('text-anchor', 'middle')
+      .attr('fill', 'white')
+      .attr('font-size', '11px')
+
+    g.selectAll('.trend-point')
+      .data(points)
+      .enter()
+      .append('circle')
+      .attr('class', 'trend-point')
+      .attr('cx', d => xScale(d.date))
+      .attr('cy', d => yScale(d.value))
+      .attr('r', 6)
+      .attr('fill', '#1f2937')
+      .attr('stroke', 'white')
+      .attr('stroke-width', 2)
+      .attr('cursor', 'pointer')
+      .on('mouseenter', (event, d) => {
+        const x = Math.min(Math.max(xScale(d.date), 60), chartWidth - 60)
+        const y = Math.max(yScale(d.value) - 44, 0)
+        tooltipRect.attr('x', x - 60).attr('y', y)
+        tooltipScore.attr('x', x).attr('y', y + 14).text(`${metricConfig.short}: ${d.value}`)
+        tooltipDate.attr('x', x).attr('y', y + 28)
+          .text(`${d.date.toLocaleDateString()}${d.age ? ` · ${d.age} mo` : ''}`)
+        tooltip.transition().duration(200).attr('opacity', 1)
+      })
+      .on('mouseleave', () => {
+        tooltip.transition().duration(200).attr('opacity', 0)
+      })
+
+    // Axes
+    const xAxis = d3.axisBottom(xScale)
+      .ticks(Math.min(6, Math.max(2, points.length + 1)))
+      .tickFormat(d3.timeFormat('%b %Y'))
+
+    const yAxis = metricConfig.normed
+      ? d3.axisLeft(yScale)
+        .tickValues([mean - 3 * sd, mean - 2 * sd, mean - sd, mean, mean + sd, mean + 2 * sd, mean + 3 * sd])
+        .tickFormat(d3.format('d'))
+      : d3.axisLeft(yScale)
+        .ticks(5)
+        .tickFormat(d3.format('d'))
+
+    g.append('g')
+      .attr('transform', `translate(0,${chartHeight})`)
+      .call(xAxis)
+      .selectAll('text')
+      .attr('font-size', '11px')
+      .attr('fill', '#6b7280')
+
+    g.append('g')
+      .call(yAxis)
+      .selectAll('text')
+      .attr('font-size', '11px')
+      .attr('fill', '#6b7280')
+
+    g.append('text')
+      .attr('transform', `translate(${chartWidth / 2}, ${chartHeight + 40})`)
+      .attr('text-anchor', 'middle')
+      .attr('font-size', '12px')
+      .attr('fill', '#374151')
+      .text('Assessment Date')
+
+    g.append('text')
+      .attr('transform', `translate(-38, ${chartHeight / 2}) rotate(-90)`)
+      .attr('text-anchor', 'middle')
+      .attr('font-size', '12px')
+      .attr('fill', '#374151')
+      .text(metricConfig.label)
+
+  }, [testName, points, metricConfig, scheme])
+
+  const first = points?.[0]
+  const last = points?.[points.length - 1]
+  const change = points && points.length > 1 ? last.value - first.value : null
+
+  return (
+    <div className="trend-chart" ref={containerRef}>
+      <div className="chart-info">
+        <div className="score-display">
+          <span className="score-label">Assessments:</span>
+          <span className="score-value">{points?.length || 0}</span>
+        </div>
+        {change !== null && (
+          <div className="percentile-display">
+            <span className="percentile-label">Change:</span>
+            <span className="percentile-value">
+              {change > 0 ? '+' : ''}{change} ({first.value} → {last.value})
+            </span>
+          </div>
+        )}
+      </div>
+      {points && points.length > 0 ? (
+        <svg ref={svgRef} className="chart-svg"></svg>
+      ) : (
+        <p className="trend-empty">No {metricConfig.label.toLowerCase()}s recorded for this test.</p>
+      )}
+    </div>
+  )
+}
+
+export default TrendChart
@@ -11,24 +11,29 @@
  * - Implement citation tracking and source attribution
  */
 
-import { calculateZScore, getNormativeBand } from '../utils/scoreCalculator'
+import { calculateZScore } from '../utils/scoreCalculator'
+import { classifyScore, getBandLabel, DEFAULT_SCHEME } from '../utils/classification'
+import { getRetrievalScore } from '../retrievalEngine/retrievalEngine'
+import { DEFAULT_LANGUAGE, getTestLabel, getLocalizedBandLabel } from '../utils/languageUtils'
 
 /**
  * Assemble insights for a specific test
  * @param {Object} params - Assembly parameters
  * @param {string} params.testName - Test name
  * @param {string} params.testAbbreviation - Test abbreviation
- * @param {number} params.standardScore - Student's score
+ * @param {number} params.standardScore - Student's score (a scaled score for subtests)
+ * @param {string} params.scoreType - 'standard' or 'scaled'
  * @param {Array} params.retrievedEntries - Retrieved interpretation entries
+ * @param {Object} params.scheme - Classification scheme for the band
  * @returns {Object} - Structured insight response
  */
-export function assembleTestInsights({ testName, testAbbreviation, standardScore, retrievedEntries }) {
+export function assembleTestInsights({ testName, testAbbreviation, standardScore, scoreType = 'standard', retrievedEntries, scheme = DEFAULT_SCHEME }) {
   if (!retrievedEntries || retrievedEntries.length === 0) {
     return null
   }
   
-  const zScore = calculateZScore(standardScore)
-  const normativeBand = getNormativeBand(zScore)
+  const zScore = calculateZScore(standardScore, scoreType)
+  const band = classifyScore(standardScore, scoreType, scheme)
   
   // Transform retrieved entries into insight format
   const insights = retrievedEntries.map(entry => ({
@@ -44,7 +49,8 @@ export function assembleTestInsights({ testName, testAbbreviation, standardScore
     testAbbreviation,
     score: standardScore,
     zScore: zScore?.toFixed(2) || null,
-    normativeBand,
+    normativeBand: getBandLabel(standardScore, scoreType, scheme),
+    bandTone: band?.tone || null,
     insights,
     retrievedCount: retrievedEntries.length
   }
@@ -91,14 +97,17 @@ export function assembleComparisonInsights({ receptiveScore, expressiveScore, re
  * @param {Object} params.student - Student object
  * @param {Array} params.assessments - Assessment records
  * @param {Array} params.allRetrievedEntries - All retrieved interpretation entries
- * @param {string} params.audience - 'clinician' or 'family'
+ * @param {string} params.audience - 'clinician', 'family' or 'educator'
+ * @param {string} params.language - Language the entries were localized to (labels follow it)
+ * @param {Object} params.scheme - Classification scheme for the bands
  * @returns {Object} - Complete insight report
  */
-export function assembleCompleteReport({ student, assessments, allRetrievedEntries, audience = 'clinician' }) {
+export function assembleCompleteReport({ student, assessments, allRetrievedEntries, audience = 'clinician', language = DEFAULT_LANGUAGE, scheme = DEFAULT_SCHEME }) {
   if (!assessments || assessments.length === 0 || !allRetrievedEntries || allRetrievedEntries.length === 0) {
     return {
       student: student?.name || 'Unknown',
       audience,
+      language,
       testInsights: [],
       comparisons: [],
       totalRetrieved: 0,
@@ -120,19 +129,24 @@ export function assembleCompleteReport({ student, assessments, allRetrievedEntri
     } else {
       // Find matching test data
       const testKey = entry.test_abbreviation
-      const testData = latestAssessment.tests[testKey]
+      const retrievalScore = getRetrievalScore(latestAssessment.tests[testKey])
       
-      if (testData && testData.standardScore) {
+      if (retrievalScore) {
+        const { score, type } = retrievalScore
         // Check if we already have insights for this test
         let existing = testInsights.find(t => t.testAbbreviation === testKey)
         
         if (!existing) {
+          const band = classifyScore(score, type, scheme)
           existing = {
             test: entry.test_type,
+            testLabel: getTestLabel(testKey, language),
             testAbbreviation: testKey,
-            score: testData.standardScore,
-            zScore: calculateZScore(testData.standardScore)?.toFixed(2) || null,
-            normativeBand: getNormativeBand(calculateZScore(testData.standardScore)),
+            score,
+            scoreType: type,
+            zScore: calculateZScore(score, type)?.toFixed(2) || null,
+            normativeBand: band ? getLocalizedBandLabel(band, language) : getBandLabel(null),
+            bandTone: band?.tone || null,
             insights: [],
             retrievedCount: 0
           }
@@ -174,6 +188,7 @@ export function assembleCompleteReport({ student, assessments, allRetrievedEntri
     student: student?.name || 'Unknown',
     studentId: student?.id || null,
     audience,
+    language,
     assessmentDate: latestAssessment.date?.toISOString() || null,
     testInsights,
     comparisons,
@@ -0,0 +1,316 @@
+/**
+ * Knowledge Base Schema
+ *
+ * Validates interpretation entries and reports coverage gaps: every test ×
+ * band × audience combination should have an entry, where the bands are those
+ * of the chosen classification scheme, and the z-score ranges written for one
+ * test and audience should neither overlap nor leave gaps.
+ */
+
+import { TEST_NAMES } from '../utils/dataParser'
+import { CLASSIFICATION_SCHEMES, getScheme, getBands, DEFAULT_SCHEME } from '../utils/classification'
+import { calculateZScore } from '../utils/scoreCalculator'
+import { LANGUAGES, DEFAULT_LANGUAGE, LOCALIZED_FIELDS } from '../utils/languageUtils'
+
+export const KB_AUDIENCES = ['clinician', 'family', 'educator']
+export const COMPARISON_TEST_TYPE = 'Composite Comparison'
+
+const REQUIRED_TEXT_FIELDS = ['id', 'test_type', 'audience', 'title', 'summary', 'details', 'source']
+
+// Languages entries can be translated into
+const TRANSLATION_LANGUAGES = LANGUAGES.map(language => language.code).filter(code => code !== DEFAULT_LANGUAGE)
+
+// Audiences whose entries should have every translation
+const TRANSLATED_AUDIENCES = ['family']
+
+// Band ids an entry's optional `band` may name, from every scheme
+const BAND_IDS = [...new Set(CLASSIFICATION_SCHEMES.flatMap(({ id }) => getBands(getScheme(id)).map(band => band.id)))]
+
+/**
+ * Check whether a standard score falls inside an entry's z range
+ */
+function rangeHoldsScore(range, score) {
+  const z = calculateZScore(score, 'standard')
+  return (range.min_z === undefined || z >= range.min_z) && (range.max_z === undefined || z <= range.max_z)
+}
+
+/**
+ * Check whether an entry is written for exactly one band
+ * Its score_range must take in every whole standard score of the band (open
+ * ends included) and, unless the entry also names the band in `band`, none of
+ * the scores either side of it.
+ */
+function isWrittenForBand(entry, band) {
+  const range = entry.score_range
+  if (entry.band && entry.band !== band.id) return false
+
+  const holdsMin = band.min === null ? range.min_z === undefined : rangeHoldsScore(range, band.min)
+  const holdsMax = band.max === null ? range.max_z === undefined : rangeHoldsScore(range, band.max)
+  if (!holdsMin || !holdsMax) return false
+  if (entry.band) return true
+
+  return (band.min === null || !rangeHoldsScore(range, band.min - 1)) &&
+    (band.max === null || !rangeHoldsScore(range, band.max + 1))
+}
+
+/**
+ * Get the band of a scheme an entry is written for
+ * Scaled scores sit on the same z scale, so a range that fits a band in
+ * standard scores also fits it in scaled scores.
+ * @param {Object} entry - Knowledge base entry
+ * @param {Object} scheme - Classification scheme (default: the configured default)
+ * @returns {Object|null} - Band from getBands, or null when the entry's range
+ *   does not line up with a single band
+ */
+export function getEntryBand(entry, scheme = DEFAULT_SCHEME) {
+  if (!entry.score_range || entry.test_type === COMPARISON_TEST_TYPE) return null
+  return getBands(scheme).find(band => isWrittenForBand(entry, band)) || null
+}
+
+/**
+ * Short description of an entry's score range
+ */
+export function formatScoreRange(entry) {
+  const range = entry.score_range || {}
+  const isComparison = entry.test_type === COMPARISON_TEST_TYPE
+  const min = isComparison ? range.min_z_diff : range.min_z
+  const max = isComparison ? range.max_z_diff : range.max_z
+  const label = isComparison ? 'z diff' : 'z'
+  if (min !== undefined && max !== undefined) return `${min} ≤ ${label} ≤ ${max}`
+  if (min !== undefined) return `${label} ≥ ${min}`
+  if (max !== undefined) return `${label} ≤ ${max}`
+  return 'no range'
+}
+
+const isNumber = value => typeof value === 'number' && !isNaN(value)
+
+/**
+ * Check that a pair of optional bounds are numbers with min below max
+ */
+function validateBounds(range, minKey, maxKey, errors) {
+  const min = range[minKey]
+  const max = range[maxKey]
+
+  if (min === undefined && max === undefined) {
+    errors.push(`score_range needs ${minKey} and/or ${maxKey}`)
+    return
+  }
+  if (min !== undefined && !isNumber(min)) errors.push(`${minKey} must be a number`)
+  if (max !== undefined && !isNumber(max)) errors.push(`${maxKey} must be a number`)
+  if (isNumber(min) && isNumber(max) && min >= max) {
+    errors.push(`${minKey} (${min}) must be less than ${maxKey} (${max})`)
+  }
+}
+
+/**
+ * Check an entry's per-language variants: known languages, known fields, text values
+ */
+function validateTranslations(translations, errors) {
+  if (!translations || typeof translations !== 'object' || Array.isArray(translations)) {
+    errors.push('translations must be an object keyed by language code')
+    return
+  }
+
+  for (const [code, translation] of Object.entries(translations)) {
+    if (!TRANSLATION_LANGUAGES.includes(code)) {
+      errors.push(`Unknown translation language "${code}"`)
+      continue
+    }
+    for (const [field, value] of Object.entries(translation || {})) {
+      if (!LOCALIZED_FIELDS.includes(field)) {
+        errors.push(`translations.${code}.${field} is not a translatable field`)
+      } else if (field === 'recommendations'
+        ? !Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())
+        : typeof value !== 'string') {
+        errors.push(`translations.${code}.${field} has the wrong type`)
+      }
+    }
+  }
+}
+
+/**
+ * Validate a single knowledge base entry
+ * @param {Object} entry - Knowledge base entry
+ * @returns {Array} - Error messages (empty when valid)
+ */
+export function validateEntry(entry) {
+  const errors = []
+
+  if (!entry || typeof entry !== 'object') {
+    return ['Entry must be an object']
+  }
+
+  for (const field of REQUIRED_TEXT_FIELDS) {
+    if (typeof entry[field] !== 'string' || !entry[field].trim()) {
+      errors.push(`Missing or empty "${field}"`)
+    }
+  }
+
+  if (entry.audience && !KB_AUDIENCES.includes(entry.audience)) {
+    errors.push(`Unknown audience "${entry.audience}"`)
+  }
+
+  if (!Array.isArray(entry.recommendations) ||
+      entry.recommendations.some(item => typeof item !== 'string' || !item.trim())) {
+    errors.push('recommendations must be an array of non-empty strings')
+  }
+
+  if (entry.band !== undefined && !BAND_IDS.includes(entry.band)) {
+    errors.push(`Unknown band "${entry.band}"`)
+  }
+
+  if (entry.retired !== undefined && typeof entry.retired !== 'boolean') {
+    errors.push('retired must be true or false')
+  }
+
+  if (entry.translations !== undefined) {
+    validateTranslations(entry.translations, errors)
+  }
+
+  const range = entry.score_range
+  if (!range || typeof range !== 'object') {
+    errors.push('Missing score_range')
+  } else if (entry.test_type === COMPARISON_TEST_TYPE) {
+    validateBounds(range, 'min_z_diff', 'max_z_diff', errors)
+  } else {
+    if (!TEST_NAMES[entry.test_abbreviation]) {
+      errors.push(`Unknown test_abbreviation "${entry.test_abbreviation}"`)
+    } else if (entry.test_type !== TEST_NAMES[entry.test_abbreviation]) {
+      errors.push(`test_type "${entry.test_type}" does not match ${entry.test_abbreviation} (${TEST_NAMES[entry.test_abbreviation]})`)
+    }
+    validateBounds(range, 'min_z', 'max_z', errors)
+  }
+
+  return errors
+}
+
+/**
+ * Validate every entry and check ids are unique
+ * @param {Array} entries - Knowledge base entries
+ * @returns {Array} - [{ id, index, errors }] for each invalid entry
+ */
+export function validateKnowledgeBase(entries) {
+  const seen = new Set()
+
+  return entries
+    .map((entry, index) => {
+      const errors = validateEntry(entry)
+      if (entry?.id) {
+        if (seen.has(entry.id)) errors.push(`Duplicate id "${entry.id}"`)
+        seen.add(entry.id)
+      }
+      return { id: entry?.id || null, index, errors }
+    })
+    .filter(result => result.errors.length > 0)
+}
+
+/**
+ * Find overlaps and gaps between the z ranges of one test and audience
+ * Open ends count as ±Infinity; touching boundaries are contiguous.
+ */
+function findRangeProblems(entries, minKey, maxKey) {
+  const ranges = entries
+    .map(entry => ({
+      id: entry.id,
+      min: entry.score_range[minKey] ?? -Infinity,
+      max: entry.score_range[maxKey] ?? Infinity
+    }))
+    .sort((a, b) => a.min - b.min || a.max - b.max)
+
+  const overlaps = []
+  const gaps = []
+  if (ranges.length === 0) return { overlaps, gaps }
+
+  if (ranges[0].min !== -Infinity) {
+    gaps.push({ from: -Infinity, to: ranges[0].min })
+  }
+
+  let reach = ranges[0]
+  for (const range of ranges.slice(1)) {
+    if (range.min < reach.max) {
+      overlaps.push({ ids: [reach.id, range.id], from: range.min, to: Math.min(reach.max, range.max) })
+    } else if (range.min > reach.max) {
+      gaps.push({ from: reach.max, to: range.min })
+    }
+    if (range.max > reach.max) reach = range
+  }
+
+  if (reach.max !== Infinity) {
+    gaps.push({ from: reach.max, to: Infinity })
+  }
+
+  return { overlaps, gaps }
+}
+
+/**
+ * Coverage report for the knowledge base
+ * Every test must have an entry for each band of the scheme and audience, with
+ * contiguous, non-overlapping z ranges. Composite comparisons need both
+ * directions (receptive > expressive and the reverse) for each audience; the
+ * gap between them is intentional (no meaningful difference). Family
+ * entries without a full translation are listed separately; they fall back to
+ * English, so they do not make coverage incomplete.
+ * @param {Array} entries - Knowledge base entries
+ * @param {Object} scheme - Classification scheme the bands come from (default: the configured default)
+ * @returns {Object} - { missing: [{ test, testName, band, bandLabel, audience }],
+ *   overlaps: [{ test, audience, ids, from, to }], gaps: [{ test, audience, from, to }],
+ *   missingComparisons: [{ direction, audience }], missingTranslations: [{ id, language, fields }],
+ *   complete }
+ */
+export function buildCoverageReport(entries, scheme = DEFAULT_SCHEME) {
+  const missing = []
+  const overlaps = []
+  const gaps = []
+  const missingComparisons = []
+
+  // Retired entries are never retrieved, so they do not count towards coverage
+  const valid = entries.filter(entry => !entry.retired && validateEntry(entry).length === 0)
+
+  for (const [test, testName] of Object.entries(TEST_NAMES)) {
+    for (const audience of KB_AUDIENCES) {
+      const group = valid.filter(entry => entry.test_abbreviation === test && entry.audience === audience)
+
+      for (const band of getBands(scheme)) {
+        if (!group.some(entry => getEntryBand(entry, scheme)?.id === band.id)) {
+          missing.push({ test, testName, band: band.id, bandLabel: band.label, audience })
+        }
+      }
+
+      const problems = findRangeProblems(group, 'min_z', 'max_z')
+      overlaps.push(...problems.overlaps.map(overlap => ({ test, audience, ...overlap })))
+      if (group.length > 0) {
+        gaps.push(...problems.gaps.map(gap => ({ test, audience, ...gap })))
+      }
+    }
+  }
+
+  for (const audience of KB_AUDIENCES) {
+    const group = valid.filter(entry => entry.test_type === COMPARISON_TEST_TYPE && entry.audience === audience)
+    if (!group.some(entry => entry.score_range.min_z_diff > 0)) {
+      missingComparisons.push({ direction: 'receptive > expressive', audience })
+    }
+    if (!group.some(entry => entry.score_range.max_z_diff < 0)) {
+      missingComparisons.push({ direction: 'expressive > receptive', audience })
+    }
+  }
+
+  const missingTranslations = []
+  for (const entry of valid.filter(item => TRANSLATED_AUDIENCES.includes(item.audience))) {
+    for (const language of TRANSLATION_LANGUAGES) {
+      const translation = entry.translations?.[language] || {}
+      const fields = LOCALIZED_FIELDS.filter(field => (
+        Array.isArray(translation[field]) ? translation[field].length === 0 : !translation[field]
+      ))
+      if (fields.length > 0) missingTranslations.push({ id: entry.id, language, fields })
+    }
+  }
+
+  return {
+    missing,
+    overlaps,
+    gaps,
+    missingComparisons,
+    missingTranslations,
+    complete: missing.length === 0 && overlaps.length === 0 && gaps.length === 0 && missingComparisons.length === 0
+  }
+}
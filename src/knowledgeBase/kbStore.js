@@ -0,0 +1,355 @@
+/**
+ * Knowledge base store
+ *
+ * Keeps local edits to the knowledge base in localStorage as changes on top
+ * of the bundled celf_interpretations.json, never as a full copy, so entries
+ * added to the bundled file later (translations, new audiences) still show
+ * up. Until something is published, the bundled file is version 0. Retrieval
+ * always reads the published entries; the editor saves to one draft, which is
+ * either published (as the next version) or discarded. Earlier published
+ * versions are kept so one can be restored.
+ *
+ * Each change records a fingerprint of the bundled entry it was made against.
+ * When the bundled file later changes that same entry, the change is reported
+ * as a conflict until the editor keeps it or takes the bundled entry.
+ */
+
+import bundledEntries from './celf_interpretations.json'
+
+// LocalStorage key for the published knowledge base, its history and the working draft
+const KB_KEY = 'lt_knowledge_base'
+
+// Earlier published versions kept for restoring
+export const MAX_HISTORY = 10
+
+const EMPTY_STATE = { bundledVersion: null, published: null, history: [], draft: null }
+
+/**
+ * Short content hash used to tell versions of the bundled file and its entries apart
+ */
+function fingerprint(value) {
+  const text = JSON.stringify(value)
+  let hash = 5381
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0
+  }
+  return hash.toString(36)
+}
+
+export const BUNDLED_VERSION = fingerprint(bundledEntries)
+
+const bundledById = new Map(bundledEntries.map(entry => [entry.id, entry]))
+
+/**
+ * Changes needed to turn the bundled entries into `entries`
+ * @param {Array} entries - Full list of entries
+ * @param {Object} previous - Earlier changes whose recorded bases are kept
+ * @returns {Object} - { [id]: { entry, base } }; entry is null for removed
+ *   entries, base is the bundled entry's fingerprint (null for new entries)
+ */
+function diffFromBundled(entries, previous = {}) {
+  const changes = {}
+  const baseFor = id => (id in previous ? previous[id].base : (bundledById.has(id) ? fingerprint(bundledById.get(id)) : null))
+
+  for (const entry of entries) {
+    const bundled = bundledById.get(entry.id)
+    if (!bundled || fingerprint(bundled) !== fingerprint(entry)) {
+      changes[entry.id] = { entry, base: baseFor(entry.id) }
+    }
+  }
+
+  const ids = new Set(entries.map(entry => entry.id))
+  for (const id of bundledById.keys()) {
+    if (!ids.has(id)) changes[id] = { entry: null, base: baseFor(id) }
+  }
+
+  return changes
+}
+
+/**
+ * Bundled entries with changes applied; new entries follow the bundled ones
+ */
+function applyChanges(changes) {
+  const merged = []
+  for (const entry of bundledEntries) {
+    const change = changes[entry.id]
+    if (!change) merged.push(entry)
+    else if (change.entry) merged.push(change.entry)
+  }
+  for (const [id, change] of Object.entries(changes)) {
+    if (!bundledById.has(id) && change.entry) merged.push(change.entry)
+  }
+  return merged
+}
+
+/**
+ * Read a stored version, ignoring anything without a change map
+ */
+function readVersion(stored) {
+  const changes = stored?.changes
+  return changes && typeof changes === 'object' && !Array.isArray(changes) ? stored : null
+}
+
+/**
+ * Load the stored versions and draft from localStorage
+ */
+function loadState() {
+  if (typeof window === 'undefined') return EMPTY_STATE
+  try {
+    const raw = window.localStorage.getItem(KB_KEY)
+    if (!raw) return EMPTY_STATE
+    const parsed = JSON.parse(raw)
+    return {
+      bundledVersion: parsed?.bundledVersion ?? null,
+      published: readVersion(parsed?.published),
+      history: Array.isArray(parsed?.history) ? parsed.history.map(readVersion).filter(Boolean) : [],
+      draft: readVersion(parsed?.draft)
+    }
+  } catch {
+    return EMPTY_STATE
+  }
+}
+
+/**
+ * Save the versions and draft to localStorage
+ */
+function saveState(nextState) {
+  if (typeof window === 'undefined') return
+  try {
+    if (!nextState.published && !nextState.draft && nextState.history.length === 0) {
+      window.localStorage.removeItem(KB_KEY)
+    } else {
+      window.localStorage.setItem(KB_KEY, JSON.stringify(nextState))
+    }
+  } catch {
+    // fail silently – not critical
+  }
+}
+
+let state = loadState()
+
+// Called after each publish or restore, so views built from retrieval can refresh
+const publishListeners = new Set()
+
+function notifyPublished() {
+  publishListeners.forEach(listener => listener())
+}
+
+/**
+ * Subscribe to newly published versions (for useSyncExternalStore)
+ * @param {Function} listener - Called after each publish or restore
+ * @returns {Function} - Unsubscribe
+ */
+export function subscribeToPublished(listener) {
+  publishListeners.add(listener)
+  return () => {
+    publishListeners.delete(listener)
+  }
+}
+
+/**
+ * Version number of the published knowledge base (0 is the bundled file)
+ */
+export function getPublishedVersion() {
+  return state.published?.version ?? 0
+}
+
+/**
+ * Whether an entry has been retired (kept for history, never retrieved)
+ */
+export function isRetired(entry) {
+  return entry.retired === true
+}
+
+/**
+ * The published knowledge base
+ * @returns {Object} - { version, publishedAt, restoredFrom, entries } (version 0 is the bundled file)
+ */
+export function getPublishedKnowledgeBase() {
+  if (!state.published) return { version: 0, publishedAt: null, restoredFrom: null, entries: bundledEntries }
+  const { version, publishedAt, restoredFrom = null, changes } = state.published
+  return { version, publishedAt, restoredFrom, entries: applyChanges(changes) }
+}
+
+/**
+ * Published entries, including retired ones
+ */
+export function getPublishedEntries() {
+  return getPublishedKnowledgeBase().entries
+}
+
+/**
+ * Earlier published versions that can be restored, newest first
+ * The bundled file (version 0) comes last once anything has been published.
+ * @returns {Array} - [{ version, publishedAt, restoredFrom, changeCount }]
+ */
+export function getPublishedHistory() {
+  const history = state.history.map(({ version, publishedAt, restoredFrom = null, changes }) => ({
+    version,
+    publishedAt,
+    restoredFrom,
+    changeCount: Object.keys(changes).length
+  }))
+  return state.published
+    ? [...history, { version: 0, publishedAt: null, restoredFrom: null, changeCount: 0 }]
+    : history
+}
+
+/**
+ * The working draft, or null when there are no unpublished changes
+ * @returns {Object|null} - { baseVersion, updatedAt, entries }
+ */
+export function getDraft() {
+  if (!state.draft) return null
+  const { baseVersion, updatedAt, changes } = state.draft
+  return { baseVersion, updatedAt, entries: applyChanges(changes) }
+}
+
+/**
+ * Replace the draft's entries (starts a draft from the published version if needed)
+ * Only the differences from the bundled file are stored.
+ * @param {Array} entries - Every entry in the draft, including retired ones
+ * @returns {Object} - The saved draft
+ */
+export function saveDraft(entries) {
+  const previous = { ...state.published?.changes, ...state.draft?.changes }
+  state = {
+    ...state,
+    draft: {
+      baseVersion: state.draft?.baseVersion ?? getPublishedKnowledgeBase().version,
+      updatedAt: new Date().toISOString(),
+      changes: diffFromBundled(entries, previous)
+    }
+  }
+  saveState(state)
+  return getDraft()
+}
+
+/**
+ * Throw away unpublished changes
+ */
+export function discardDraft() {
+  state = { ...state, draft: null }
+  saveState(state)
+}
+
+/**
+ * Make a set of changes the next published version; the current one moves to history
+ */
+function publishChanges(changes, restoredFrom = null) {
+  const history = state.published
+    ? [state.published, ...state.history].slice(0, MAX_HISTORY)
+    : state.history
+
+  state = {
+    ...state,
+    bundledVersion: BUNDLED_VERSION,
+    published: {
+      version: getPublishedKnowledgeBase().version + 1,
+      publishedAt: new Date().toISOString(),
+      restoredFrom,
+      changes
+    },
+    history
+  }
+}
+
+/**
+ * Publish the draft as the next version; retrieval uses it from now on
+ * @returns {Object} - The new published knowledge base
+ */
+export function publishDraft() {
+  if (!state.draft) return getPublishedKnowledgeBase()
+
+  publishChanges(state.draft.changes)
+  state = { ...state, draft: null }
+  saveState(state)
+  notifyPublished()
+  return getPublishedKnowledgeBase()
+}
+
+/**
+ * Publish an earlier version's changes again, as the next version
+ * The draft is kept; the editor asks for it to be published or discarded first.
+ * @param {number} version - Version from getPublishedHistory
+ * @returns {Object} - The new published knowledge base
+ */
+export function restoreVersion(version) {
+  const earlier = version === 0 ? { changes: {} } : state.history.find(item => item.version === version)
+  if (!earlier || !state.published) return getPublishedKnowledgeBase()
+
+  publishChanges(earlier.changes, version)
+  saveState(state)
+  notifyPublished()
+  return getPublishedKnowledgeBase()
+}
+
+/**
+ * How the bundled file has moved on since local changes were published
+ * @returns {Object} - { updated, conflicts: [{ id, local, bundled }] }: updated
+ *   is true when the bundled file changed after the last publish (its new
+ *   entries are already merged in); conflicts are published or draft changes
+ *   to entries the bundled file has changed since (local is null for removed
+ *   entries, bundled is null when the bundled file no longer has the entry)
+ */
+export function getBundledUpdate() {
+  // The draft holds every published change too, so it supersedes the published version
+  const changes = (state.draft || state.published)?.changes || {}
+  const conflicts = Object.entries(changes)
+    .filter(([id, change]) => {
+      const bundled = bundledById.get(id)
+      if (bundled && change.entry && fingerprint(bundled) === fingerprint(change.entry)) return false
+      return (bundled ? fingerprint(bundled) : null) !== change.base
+    })
+    .map(([id, change]) => ({ id, local: change.entry, bundled: bundledById.get(id) || null }))
+
+  return {
+    updated: state.published !== null && state.bundledVersion !== BUNDLED_VERSION,
+    conflicts
+  }
+}
+
+/**
+ * Record that the bundled update has been seen
+ */
+export function acknowledgeBundledUpdate() {
+  state = { ...state, bundledVersion: BUNDLED_VERSION }
+  saveState(state)
+}
+
+/**
+ * Resolve a conflict by keeping the local change over the updated bundled entry
+ * Only the recorded base moves; the entry itself is unchanged.
+ * @param {string} id - Entry id from getBundledUpdate
+ */
+export function keepLocalChange(id) {
+  const bundled = bundledById.get(id)
+  const base = bundled ? fingerprint(bundled) : null
+  const rebase = version => (version?.changes[id]
+    ? { ...version, changes: { ...version.changes, [id]: { ...version.changes[id], base } } }
+    : version)
+
+  state = { ...state, published: rebase(state.published), draft: rebase(state.draft) }
+  saveState(state)
+}
+
+/**
+ * Resolve a conflict by taking the bundled entry; the change is dropped in the
+ * draft (starting one if needed), so it reaches retrieval once published
+ * @param {string} id - Entry id from getBundledUpdate
+ * @returns {Object} - The saved draft
+ */
+export function takeBundledEntry(id) {
+  const source = (state.draft || state.published)?.changes || {}
+  const changes = Object.fromEntries(Object.entries(source).filter(([key]) => key !== id))
+  state = {
+    ...state,
+    draft: {
+      baseVersion: state.draft?.baseVersion ?? getPublishedKnowledgeBase().version,
+      updatedAt: new Date().toISOString(),
+      changes
+    }
+  }
+  saveState(state)
+  return getDraft()
+}
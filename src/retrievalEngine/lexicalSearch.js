@@ -0,0 +1,153 @@
+/**
+ * Lexical Search
+ *
+ * BM25 ranking over short text documents, used to answer free-text questions
+ * from the knowledge base. Runs entirely in the browser: no embeddings, no
+ * external API.
+ */
+
+// BM25 term-frequency saturation and document-length normalization
+const K1 = 1.2
+const B = 0.75
+
+// Common question words that carry no meaning for ranking (English and Spanish)
+const STOP_WORDS = new Set([
+  'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'could', 'do', 'does',
+  'for', 'from', 'has', 'have', 'he', 'her', 'his', 'how', 'i', 'if', 'in', 'is', 'it', 'its',
+  'me', 'my', 'of', 'on', 'or', 'she', 'should', 'so', 'that', 'the', 'their', 'them', 'they',
+  'this', 'to', 'was', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would',
+  'you', 'your', 'child', 'student',
+  'al', 'como', 'con', 'de', 'del', 'el', 'en', 'es', 'la', 'las', 'lo', 'los', 'mi', 'para',
+  'por', 'que', 'se', 'su', 'sus', 'un', 'una', 'y', 'nino', 'hijo'
+])
+
+// Everyday question words mapped to the wording the knowledge base uses
+const SYNONYMS = {
+  low: ['below'],
+  weak: ['below'],
+  poor: ['below'],
+  high: ['above', 'strength'],
+  strong: ['above', 'strength'],
+  help: ['recommend', 'support'],
+  listen: ['receptive', 'understand'],
+  talk: ['expressive', 'speak'],
+  vocab: ['vocabulary'],
+  grammar: ['structure'],
+  read: ['literacy']
+}
+
+// Suffixes stripped so that "directions" matches "direction", "following" matches "follow"
+const SUFFIXES = ['ing', 'ed', 's']
+
+/**
+ * Reduce a word to a crude stem
+ */
+function stem(word) {
+  for (const suffix of SUFFIXES) {
+    if (word.length > suffix.length + 3 && word.endsWith(suffix) && !word.endsWith('ss')) {
+      return word.slice(0, -suffix.length)
+    }
+  }
+  return word
+}
+
+/**
+ * Split text into normalized search terms
+ * Lowercases, strips accents, drops stop words and stems what is left.
+ * @param {string} text - Text to tokenize
+ * @returns {Array} - Terms, in order, with repeats
+ */
+export function tokenize(text) {
+  if (!text) return []
+
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(stem)
+}
+
+/**
+ * Terms for a query, with synonyms added for everyday words
+ */
+function tokenizeQuery(query) {
+  const terms = []
+  for (const word of tokenize(query)) {
+    terms.push(word, ...(SYNONYMS[word] || []).map(stem))
+  }
+  return [...new Set(terms)]
+}
+
+/**
+ * Build a BM25 index
+ * @param {Array} documents - [{ id, fields: [{ text, weight }] }]; a field's
+ *   weight multiplies how much each of its words counts (e.g. 2 for titles)
+ * @returns {Object} - Index for searchIndex
+ */
+export function buildSearchIndex(documents) {
+  const docs = []
+  const docFreqs = new Map()
+  let totalLength = 0
+
+  for (const document of documents) {
+    const termFreqs = new Map()
+    let length = 0
+
+    for (const { text, weight = 1 } of document.fields) {
+      for (const term of tokenize(text)) {
+        termFreqs.set(term, (termFreqs.get(term) || 0) + weight)
+        length += weight
+      }
+    }
+
+    for (const term of termFreqs.keys()) {
+      docFreqs.set(term, (docFreqs.get(term) || 0) + 1)
+    }
+
+    docs.push({ id: document.id, termFreqs, length })
+    totalLength += length
+  }
+
+  return {
+    docs,
+    docFreqs,
+    avgLength: docs.length > 0 ? totalLength / docs.length : 0
+  }
+}
+
+/**
+ * Rank indexed documents against a query with BM25
+ * @param {Object} index - Index from buildSearchIndex
+ * @param {string} query - Free-text question
+ * @returns {Array} - [{ id, score, terms }] for documents sharing at least one
+ *   term with the query, best first; `terms` lists the query terms that matched
+ */
+export function searchIndex(index, query) {
+  const queryTerms = tokenizeQuery(query)
+  if (queryTerms.length === 0 || index.docs.length === 0) return []
+
+  const docCount = index.docs.length
+  const results = []
+
+  for (const doc of index.docs) {
+    let score = 0
+    const terms = []
+
+    for (const term of queryTerms) {
+      const freq = doc.termFreqs.get(term)
+      if (!freq) continue
+
+      const docFreq = index.docFreqs.get(term)
+      const idf = Math.log(1 + (docCount - docFreq + 0.5) / (docFreq + 0.5))
+      const norm = freq + K1 * (1 - B + B * (doc.length / index.avgLength))
+      score += idf * (freq * (K1 + 1)) / norm
+      terms.push(term)
+    }
+
+    if (score > 0) results.push({ id: doc.id, score, terms })
+  }
+
+  return results.sort((a, b) => b.score - a.score)
+}
@@ -14,8 +14,54 @@
  * Currently uses deterministic matching logic
  */
 
-import interpretations from '../knowledgeBase/celf_interpretations.json'
 import { calculateZScore } from '../utils/scoreCalculator'
+import { classifyScore, DEFAULT_SCHEME } from '../utils/classification'
+import { getLatestAssessments } from '../utils/caseloadUtils'
+import { getPublishedEntries, isRetired } from '../knowledgeBase/kbStore'
+import { getEntryBand } from '../knowledgeBase/kbSchema'
+import { DEFAULT_LANGUAGE, localizeEntry, getTestLabel } from '../utils/languageUtils'
+import { buildSearchIndex, searchIndex } from './lexicalSearch'
+
+// Free-text search: relevance multiplier for entries that match the student's own
+// scores, and the relevance (relative to the best match) below which results are dropped
+const STUDENT_MATCH_WEIGHT = 2
+const MIN_SEARCH_RELEVANCE = 0.1
+
+// Near misses: rejected entries whose score range lies within this many SD of the student's score
+export const NEAR_MISS_Z = 0.5
+
+const COMPARISON_TEST_KEY = 'RLI − ELI'
+
+/**
+ * Entries retrieval can return: the published knowledge base minus retired entries
+ */
+function getActiveEntries() {
+  return getPublishedEntries().filter(entry => !isRetired(entry))
+}
+
+/**
+ * Score used to match a test against the knowledge base
+ * Uses the standard score when the test has one and falls back to the scaled
+ * score otherwise (subtests, or an index stored without its standard score).
+ * @param {Object} testData - Test data from an assessment record
+ * @returns {Object|null} - { score, type } or null when the test is unscored
+ */
+export function getRetrievalScore(testData) {
+  if (testData?.standardScore) return { score: testData.standardScore, type: 'standard' }
+  if (testData?.scaledScore) return { score: testData.scaledScore, type: 'scaled' }
+  return null
+}
+
+const roundZ = value => Math.round(value * 100) / 100
+
+/**
+ * Distance in SD from a z value to optional range bounds (0 when inside)
+ */
+function distanceToRange(z, min, max) {
+  if (min !== undefined && z < min) return min - z
+  if (max !== undefined && z > max) return z - max
+  return 0
+}
 
 /**
  * Check if a z-score falls within a specified range
@@ -39,6 +85,35 @@ function matchesScoreRange(zScore, range) {
   return true
 }
 
+/**
+ * Check that an entry is written for the band a score falls in
+ * Bands come from the active scheme, so an entry whose range does not line up
+ * with one of its bands (see getEntryBand) is not retrieved under that scheme.
+ */
+function matchesEntryBand(entry, band, scheme) {
+  return Boolean(band) && getEntryBand(entry, scheme)?.id === band.id
+}
+
+/**
+ * Match trace for an entry retrieved on a test score
+ * @returns {Object} - { testKey, testName, score, scoreType, zScore, band, scoreRange, audience }
+ */
+function traceTestMatch(entry, testKey, testName, retrievalScore, scheme) {
+  const zScore = calculateZScore(retrievalScore.score, retrievalScore.type)
+  const band = classifyScore(retrievalScore.score, retrievalScore.type, scheme)
+
+  return {
+    testKey,
+    testName,
+    score: retrievalScore.score,
+    scoreType: retrievalScore.type,
+    zScore: roundZ(zScore),
+    band: band ? { id: band.id, label: band.label, tone: band.tone } : null,
+    scoreRange: entry.score_range,
+    audience: entry.audience
+  }
+}
+
 /**
  * Check if z-score difference matches range (for composite comparisons)
  * @param {number} zDiff - Difference between two z-scores
@@ -66,22 +141,25 @@ function matchesZDiffRange(zDiff, range) {
  * @param {Object} params - Retrieval parameters
  * @param {string} params.testName - Test name (e.g., "Receptive Language Index")
  * @param {string} params.testAbbreviation - Test abbreviation (e.g., "RLI")
- * @param {number} params.standardScore - Student's standard score
- * @param {string} params.audience - 'clinician' or 'family'
+ * @param {number} params.standardScore - Student's score (a scaled score for subtests)
+ * @param {string} params.scoreType - 'standard' or 'scaled'
+ * @param {string} params.audience - 'clinician', 'family' or 'educator'
+ * @param {Object} params.scheme - Classification scheme whose bands entries are matched on
  * @returns {Array} - Array of matching interpretation entries
  */
-export function retrieveTestInterpretations({ testName, testAbbreviation, standardScore, audience = 'clinician' }) {
+export function retrieveTestInterpretations({ testName, testAbbreviation, standardScore, scoreType = 'standard', audience = 'clinician', scheme = DEFAULT_SCHEME }) {
   if (!standardScore || isNaN(standardScore)) {
     return []
   }
   
-  const zScore = calculateZScore(standardScore, 'standard')
+  const zScore = calculateZScore(standardScore, scoreType)
+  const band = classifyScore(standardScore, scoreType, scheme)
   
   // Filter interpretations by:
   // 1. Test type match (name or abbreviation)
-  // 2. Score range match
+  // 2. Score range match, for an entry written for the score's band
   // 3. Audience match
-  const matches = interpretations.filter(entry => {
+  const matches = getActiveEntries().filter(entry => {
     // Check test type match
     const testMatch = 
       entry.test_type === testName ||
@@ -101,7 +179,7 @@ export function retrieveTestInterpretations({ testName, testAbbreviation, standa
         return false
       }
       
-      return matchesScoreRange(zScore, entry.score_range)
+      return matchesScoreRange(zScore, entry.score_range) && matchesEntryBand(entry, band, scheme)
     }
     
     return false
@@ -115,7 +193,7 @@ export function retrieveTestInterpretations({ testName, testAbbreviation, standa
  * @param {Object} params - Comparison parameters
  * @param {number} params.receptiveZScore - Receptive Language Index z-score
  * @param {number} params.expressiveZScore - Expressive Language Index z-score
- * @param {string} params.audience - 'clinician' or 'family'
+ * @param {string} params.audience - 'clinician', 'family' or 'educator'
  * @returns {Array} - Array of matching comparison entries
  */
 export function retrieveCompositeComparisons({ receptiveZScore, expressiveZScore, audience = 'clinician' }) {
@@ -126,7 +204,7 @@ export function retrieveCompositeComparisons({ receptiveZScore, expressiveZScore
   const zDiff = receptiveZScore - expressiveZScore
   
   // Filter for composite comparison entries
-  const matches = interpretations.filter(entry => {
+  const matches = getActiveEntries().filter(entry => {
     if (entry.test_type !== 'Composite Comparison') return false
     if (entry.audience !== audience) return false
     
@@ -144,10 +222,15 @@ export function retrieveCompositeComparisons({ receptiveZScore, expressiveZScore
  * Retrieve all relevant interpretations for a student
  * @param {Object} params - Student assessment data
  * @param {Object} params.assessments - Array of assessment records
- * @param {string} params.audience - 'clinician' or 'family'
- * @returns {Array} - All matching interpretation entries
+ * @param {string} params.audience - 'clinician', 'family' or 'educator'
+ * @param {string} params.language - Language code; untranslated fields stay in English
+ * @param {Object} params.scheme - Classification scheme the scores are banded with
+ * @returns {Array} - All matching interpretation entries, localized, each with a
+ *   `trace` of why it matched: the test and score (z for comparisons is the
+ *   RLI − ELI difference), the score's band, the entry's score_range and the
+ *   audience
  */
-export function retrieveAllInterpretations({ assessments, audience = 'clinician' }) {
+export function retrieveAllInterpretations({ assessments, audience = 'clinician', language = DEFAULT_LANGUAGE, scheme = DEFAULT_SCHEME }) {
   if (!assessments || assessments.length === 0) {
     return []
   }
@@ -165,17 +248,23 @@ export function retrieveAllInterpretations({ assessments, audience = 'clinician'
   
   // Retrieve interpretations for each test
   for (const [testKey, testData] of Object.entries(latestAssessment.tests)) {
-    if (!testData.standardScore) continue
+    const retrievalScore = getRetrievalScore(testData)
+    if (!retrievalScore) continue
     
     const testName = testData.testName || testKey
     const matches = retrieveTestInterpretations({
       testName,
       testAbbreviation: testKey,
-      standardScore: testData.standardScore,
-      audience
+      standardScore: retrievalScore.score,
+      scoreType: retrievalScore.type,
+      audience,
+      scheme
     })
     
-    allMatches.push(...matches)
+    allMatches.push(...matches.map(entry => ({
+      ...entry,
+      trace: traceTestMatch(entry, testKey, testName, retrievalScore, scheme)
+    })))
   }
   
   // Retrieve composite comparisons if we have RLI and ELI
@@ -192,8 +281,258 @@ export function retrieveAllInterpretations({ assessments, audience = 'clinician'
       audience
     })
     
-    allMatches.push(...comparisons)
+    allMatches.push(...comparisons.map(entry => ({
+      ...entry,
+      trace: {
+        testKey: COMPARISON_TEST_KEY,
+        testName: entry.test_type,
+        score: null,
+        scoreType: 'standard',
+        receptiveScore: rliTest.standardScore,
+        expressiveScore: eliTest.standardScore,
+        zScore: roundZ(receptiveZ - expressiveZ),
+        band: null,
+        scoreRange: entry.score_range,
+        audience: entry.audience
+      }
+    })))
   }
   
-  return allMatches
+  return allMatches.map(entry => localizeEntry(entry, language))
+}
+
+/**
+ * Entries that were nearly retrieved for a student, and why they were not
+ * Considers the audience's entries for each scored test on the latest
+ * assessment (and the RLI − ELI comparison): entries whose score range lies
+ * within NEAR_MISS_Z of the score, entries whose range holds the score but
+ * that are not written for the score's band in the scheme, and retired entries
+ * that would otherwise have matched.
+ * @param {Object} params - Student assessment data
+ * @param {Array} params.assessments - Array of assessment records
+ * @param {string} params.audience - 'clinician', 'family' or 'educator'
+ * @param {Object} params.scheme - Classification scheme whose bands entries are matched on
+ * @returns {Array} - [{ entryId, title, testKey, testName, score, scoreType, zScore,
+ *   scoreRange, audience, distance, reason }] closest first
+ */
+export function findNearMisses({ assessments, audience = 'clinician', scheme = DEFAULT_SCHEME }) {
+  const latestAssessment = [...(assessments || [])].sort((a, b) =>
+    new Date(b.date) - new Date(a.date)
+  )[0]
+
+  if (!latestAssessment?.tests) {
+    return []
+  }
+
+  const entries = getPublishedEntries().filter(entry => entry.audience === audience)
+  const nearMisses = []
+
+  const addNearMiss = (entry, details) => {
+    nearMisses.push({
+      entryId: entry.id,
+      title: entry.title,
+      scoreRange: entry.score_range,
+      audience: entry.audience,
+      ...details,
+      zScore: roundZ(details.zScore),
+      distance: roundZ(details.distance)
+    })
+  }
+
+  for (const [testKey, testData] of Object.entries(latestAssessment.tests)) {
+    const retrievalScore = getRetrievalScore(testData)
+    if (!retrievalScore) continue
+
+    const testName = testData.testName || testKey
+    const zScore = calculateZScore(retrievalScore.score, retrievalScore.type)
+    const band = classifyScore(retrievalScore.score, retrievalScore.type, scheme)
+    if (!band) continue
+
+    for (const entry of entries) {
+      if (entry.test_type === 'Composite Comparison') continue
+      if (entry.test_type !== testName && entry.test_abbreviation !== testKey) continue
+
+      const range = entry.score_range || {}
+      const distance = distanceToRange(zScore, range.min_z, range.max_z)
+      const bandMatches = matchesEntryBand(entry, band, scheme)
+      let reason = null
+
+      if (distance === 0 && bandMatches && isRetired(entry)) {
+        reason = 'Retired; it would otherwise have matched'
+      } else if (!isRetired(entry)) {
+        if (distance === 0 && !bandMatches) {
+          const entryBand = getEntryBand(entry, scheme)
+          reason = entryBand
+            ? `z is inside this range, but the entry is written for ${entryBand.label} scores and the ${scheme.label} bands classify the score as ${band.label}`
+            : `z is inside this range, but the range lines up with none of the ${scheme.label} bands, which classify the score as ${band.label}`
+        } else if (distance > 0 && distance <= NEAR_MISS_Z) {
+          const side = range.min_z !== undefined && zScore < range.min_z ? 'below' : 'above'
+          reason = `z is ${roundZ(distance)} SD ${side} this range; the score is ${band.label}`
+        }
+      }
+
+      if (reason) {
+        addNearMiss(entry, {
+          testKey,
+          testName,
+          score: retrievalScore.score,
+          scoreType: retrievalScore.type,
+          zScore,
+          distance,
+          reason
+        })
+      }
+    }
+  }
+
+  const rliTest = latestAssessment.tests.RLI
+  const eliTest = latestAssessment.tests.ELI
+
+  if (rliTest?.standardScore && eliTest?.standardScore) {
+    const zDiff = calculateZScore(rliTest.standardScore) - calculateZScore(eliTest.standardScore)
+
+    for (const entry of entries) {
+      if (entry.test_type !== 'Composite Comparison' || !entry.score_range) continue
+
+      const range = entry.score_range
+      const distance = distanceToRange(zDiff, range.min_z_diff, range.max_z_diff)
+      let reason = null
+
+      if (distance === 0 && isRetired(entry)) {
+        reason = 'Retired; it would otherwise have matched'
+      } else if (distance > 0 && distance <= NEAR_MISS_Z && !isRetired(entry)) {
+        reason = `RLI − ELI difference is ${roundZ(distance)} SD short of this range`
+      }
+
+      if (reason) {
+        addNearMiss(entry, {
+          testKey: COMPARISON_TEST_KEY,
+          testName: entry.test_type,
+          score: null,
+          scoreType: 'standard',
+          zScore: zDiff,
+          distance,
+          reason
+        })
+      }
+    }
+  }
+
+  return nearMisses.sort((a, b) => a.distance - b.distance)
+}
+
+/**
+ * Answer a free-text question from the knowledge base
+ * Ranks the audience's entries by BM25 relevance to the question (title, test
+ * name, summary, details and recommendations), weighting up entries that the
+ * student's latest scores also retrieve, so "why is following directions
+ * low?" puts this student's Following Directions interpretation first.
+ * @param {Object} params - Search parameters
+ * @param {string} params.query - Free-text question
+ * @param {Array} params.assessments - The student's assessment records
+ * @param {string} params.audience - 'clinician', 'family' or 'educator'
+ * @param {string} params.language - Language code; entries are searched and returned localized
+ * @param {number} params.limit - Maximum number of results
+ * @param {Object} params.scheme - Classification scheme the scores are banded with
+ * @returns {Array} - [{ entry, relevance, matchedTerms, matchesStudent, studentScore }]
+ *   best first; relevance is 0–1 relative to the best text match, studentScore is
+ *   { score, type, band } for the entry's test on the latest assessment (or null)
+ */
+export function searchInterpretations({ query, assessments = [], audience = 'clinician', language = DEFAULT_LANGUAGE, limit = 8, scheme = DEFAULT_SCHEME }) {
+  const entries = getActiveEntries()
+    .filter(entry => entry.audience === audience)
+    .map(entry => localizeEntry(entry, language))
+
+  const index = buildSearchIndex(entries.map(entry => ({
+    id: entry.id,
+    fields: [
+      { text: entry.title, weight: 2 },
+      { text: `${entry.test_type} ${entry.test_abbreviation || ''} ${getTestLabel(entry.test_abbreviation, language)}`, weight: 2 },
+      { text: entry.summary },
+      { text: entry.details },
+      { text: (entry.recommendations || []).join(' ') }
+    ]
+  })))
+
+  const hits = searchIndex(index, query)
+  if (hits.length === 0) return []
+
+  const studentMatchIds = new Set(
+    retrieveAllInterpretations({ assessments: [...assessments], audience, scheme }).map(entry => entry.id)
+  )
+  const latestAssessment = [...assessments].sort((a, b) => new Date(b.date) - new Date(a.date))[0]
+  const entriesById = new Map(entries.map(entry => [entry.id, entry]))
+  const topScore = hits[0].score
+
+  return hits
+    .map(hit => {
+      const entry = entriesById.get(hit.id)
+      const retrievalScore = getRetrievalScore(latestAssessment?.tests?.[entry.test_abbreviation])
+      const relevance = hit.score / topScore
+      const matchesStudent = studentMatchIds.has(entry.id)
+
+      return {
+        entry,
+        relevance,
+        matchedTerms: hit.terms,
+        matchesStudent,
+        studentScore: retrievalScore
+          ? { ...retrievalScore, band: classifyScore(retrievalScore.score, retrievalScore.type, scheme) }
+          : null,
+        rank: relevance * (matchesStudent ? STUDENT_MATCH_WEIGHT : 1)
+      }
+    })
+    .filter(result => result.relevance >= MIN_SEARCH_RELEVANCE)
+    .sort((a, b) => b.rank - a.rank)
+    .slice(0, limit)
+    .map(({ rank, ...result }) => result)
+}
+
+/**
+ * Preview which students an entry would be retrieved for
+ * Checks each student's latest assessment the same way retrieval does,
+ * regardless of audience.
+ * @param {Object} entry - Knowledge base entry (published or draft)
+ * @param {Array} records - Processed assessment records
+ * @param {Object} scheme - Classification scheme whose bands entries are matched on (default: the configured default)
+ * @returns {Array} - [{ studentId, studentName, date, score }] sorted by name;
+ *   score is the test score, or the RLI − ELI z difference for comparisons
+ */
+export function previewEntryMatches(entry, records, scheme = DEFAULT_SCHEME) {
+  if (!entry?.score_range || !records || records.length === 0) {
+    return []
+  }
+
+  const matches = []
+
+  for (const latest of getLatestAssessments(records).values()) {
+    let score = null
+
+    if (entry.test_type === 'Composite Comparison') {
+      const rliTest = latest.tests?.RLI
+      const eliTest = latest.tests?.ELI
+      if (!rliTest?.standardScore || !eliTest?.standardScore) continue
+
+      const zDiff = calculateZScore(rliTest.standardScore) - calculateZScore(eliTest.standardScore)
+      if (!matchesZDiffRange(zDiff, entry.score_range)) continue
+      score = Math.round(zDiff * 100) / 100
+    } else {
+      const retrievalScore = getRetrievalScore(latest.tests?.[entry.test_abbreviation])
+      if (!retrievalScore) continue
+
+      const zScore = calculateZScore(retrievalScore.score, retrievalScore.type)
+      const band = classifyScore(retrievalScore.score, retrievalScore.type, scheme)
+      if (!matchesScoreRange(zScore, entry.score_range) || !matchesEntryBand(entry, band, scheme)) continue
+      score = retrievalScore.score
+    }
+
+    matches.push({
+      studentId: latest.studentId,
+      studentName: latest.studentName,
+      date: latest.date,
+      score
+    })
+  }
+
+  return matches.sort((a, b) => String(a.studentName).localeCompare(String(b.studentName)))
 }
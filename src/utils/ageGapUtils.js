@@ -0,0 +1,58 @@
+/**
+ * Age-equivalent gap analysis
+ *
+ * Compares each subtest's age equivalent with the child's chronological age
+ * (both in months). Floor/ceiling markers on the age equivalent carry over to
+ * the gap: "<4:0" at 60 months means the child is more than 12 months behind.
+ */
+
+import { SUBTEST_PREFIXES, TEST_NAMES } from './dataParser'
+
+/**
+ * Compute the age-equivalent gap for every subtest of one assessment
+ * @param {Object} assessment - Processed assessment record
+ * @returns {Array} - [{ test, testName, ageEquivalent, chronologicalAge, gap, qualifier }]
+ */
+export function getAgeGaps(assessment) {
+  if (!assessment || !assessment.tests) return []
+
+  const chronologicalAge = assessment.age ?? null
+
+  return SUBTEST_PREFIXES
+    .filter(prefix => assessment.tests[prefix]?.ageEquivalent)
+    .map(prefix => {
+      const { ageEquivalent } = assessment.tests[prefix]
+      const gap = ageEquivalent.months !== null && chronologicalAge !== null
+        ? ageEquivalent.months - chronologicalAge
+        : null
+
+      return {
+        test: prefix,
+        testName: TEST_NAMES[prefix] || prefix,
+        ageEquivalent,
+        chronologicalAge,
+        gap,
+        qualifier: gap !== null ? ageEquivalent.qualifier : null
+      }
+    })
+}
+
+/**
+ * Subtests whose age equivalent falls below chronological age, furthest behind first
+ * @param {Object} assessment - Processed assessment record
+ * @returns {Array} - Age gaps with a negative gap
+ */
+export function getLaggingSkills(assessment) {
+  return getAgeGaps(assessment)
+    .filter(item => item.gap !== null && (item.gap < 0 || (item.gap === 0 && item.qualifier === '<')))
+    .sort((a, b) => a.gap - b.gap)
+}
+
+/**
+ * Format a gap in months, keeping any floor/ceiling marker (e.g. "-8 mo", "< -12 mo")
+ */
+export function formatAgeGap(gap, qualifier = null) {
+  if (gap === null || gap === undefined) return '—'
+  const value = `${gap > 0 ? '+' : ''}${gap} mo`
+  return qualifier ? `${qualifier} ${value}` : value
+}
@@ -0,0 +1,78 @@
+/**
+ * Assessment diff
+ *
+ * Compares any two of a student's assessments test by test: old and new
+ * scores, point change, the classification band on each date and whether
+ * the change is reliable (RCI). Indices compare standard scores; subtests
+ * compare scaled scores, as on the record form.
+ */
+
+import { INDEX_PREFIXES, SUBTEST_PREFIXES, TEST_NAMES } from './dataParser'
+import { calculateRCI, classifyChange, CHANGE_LABELS } from './progressEngine'
+import { classifyScore, getBands, DEFAULT_SCHEME } from './classification'
+
+export const BAND_TRANSITION = {
+  UP: 'up',
+  DOWN: 'down',
+  SAME: 'same'
+}
+
+/**
+ * Direction of movement between two bands of a scheme
+ * @returns {string|null} - One of BAND_TRANSITION, or null if either band is missing
+ */
+export function getBandTransition(fromBand, toBand, scheme = DEFAULT_SCHEME) {
+  if (!fromBand || !toBand) return null
+  const order = getBands(scheme).map(band => band.id)
+  const delta = order.indexOf(toBand.id) - order.indexOf(fromBand.id)
+  if (delta > 0) return BAND_TRANSITION.UP
+  if (delta < 0) return BAND_TRANSITION.DOWN
+  return BAND_TRANSITION.SAME
+}
+
+/**
+ * Diff one test between two assessments
+ */
+function diffTest(from, to, testKey, kind, scheme) {
+  const field = kind === 'subtest' ? 'scaledScore' : 'standardScore'
+  const type = kind === 'subtest' ? 'scaled' : 'standard'
+  const before = from.tests?.[testKey]?.[field] ?? null
+  const after = to.tests?.[testKey]?.[field] ?? null
+
+  const bandBefore = classifyScore(before, type, scheme)
+  const bandAfter = classifyScore(after, type, scheme)
+  const rci = calculateRCI(before, after, testKey, type)
+  const status = classifyChange(rci)
+
+  return {
+    test: testKey,
+    testName: TEST_NAMES[testKey] || testKey,
+    kind,
+    before,
+    after,
+    change: before !== null && after !== null ? after - before : null,
+    bandBefore,
+    bandAfter,
+    bandTransition: getBandTransition(bandBefore, bandAfter, scheme),
+    rci: rci !== null ? Math.round(rci * 100) / 100 : null,
+    status,
+    label: status ? CHANGE_LABELS[status] : null
+  }
+}
+
+/**
+ * Diff every index and subtest between two assessments
+ * @param {Object} from - Earlier (baseline) assessment record
+ * @param {Object} to - Later assessment record
+ * @param {Object} scheme - Classification scheme for the bands (default: the configured default)
+ * @returns {Array} - [{ test, testName, kind, before, after, change, bandBefore, bandAfter, bandTransition, rci, status, label }]
+ *   for tests scored on either date, indices first
+ */
+export function diffAssessments(from, to, scheme = DEFAULT_SCHEME) {
+  if (!from || !to) return []
+
+  return [
+    ...INDEX_PREFIXES.map(prefix => diffTest(from, to, prefix, 'index', scheme)),
+    ...SUBTEST_PREFIXES.map(prefix => diffTest(from, to, prefix, 'subtest', scheme))
+  ].filter(row => row.before !== null || row.after !== null)
+}
@@ -0,0 +1,101 @@
+/**
+ * Caseload utilities
+ *
+ * Groups assessment records by the `Contact` column (the responsible
+ * clinician's code) and summarizes a clinician's caseload.
+ */
+
+import { INDEX_PREFIXES, getUniqueStudents } from './dataParser'
+import { classifyScore, getBandLabel, DEFAULT_SCHEME } from './classification'
+
+/**
+ * List clinician contact codes present in the records
+ * @param {Array} records - Processed assessment records
+ * @returns {Array} - [{ code, studentCount }] sorted by code
+ */
+export function getContacts(records) {
+  const studentsByContact = new Map()
+
+  for (const record of records) {
+    if (!record.contact) continue
+    if (!studentsByContact.has(record.contact)) {
+      studentsByContact.set(record.contact, new Set())
+    }
+    studentsByContact.get(record.contact).add(record.studentId)
+  }
+
+  return [...studentsByContact.entries()]
+    .map(([code, ids]) => ({ code, studentCount: ids.size }))
+    .sort((a, b) => a.code.localeCompare(b.code))
+}
+
+/**
+ * Restrict records to one clinician's caseload
+ * @param {Array} records - Processed assessment records
+ * @param {string|null} contact - Contact code, or null for all records
+ * @returns {Array} - Records for that contact
+ */
+export function filterByContact(records, contact) {
+  if (!contact) return records
+  return records.filter(record => record.contact === contact)
+}
+
+/**
+ * Get each student's most recent assessment
+ * @param {Array} records - Processed assessment records
+ * @returns {Map} - studentId → latest record
+ */
+export function getLatestAssessments(records) {
+  const latest = new Map()
+  for (const record of records) {
+    const current = latest.get(record.studentId)
+    if (!current || new Date(record.date) > new Date(current.date)) {
+      latest.set(record.studentId, record)
+    }
+  }
+  return latest
+}
+
+/**
+ * Summarize a caseload: student count, latest CLS distribution and
+ * students with below-average index scores on their latest assessment
+ * @param {Array} records - Records already scoped to one caseload
+ * @param {Object} scheme - Classification scheme for the bands (default: the configured default)
+ * @returns {Object} - Caseload summary
+ */
+export function summarizeCaseload(records, scheme = DEFAULT_SCHEME) {
+  const students = getUniqueStudents(records)
+  const latest = getLatestAssessments(records)
+
+  const clsDistribution = {}
+  const belowAverageStudents = []
+
+  for (const student of students) {
+    const record = latest.get(student.id)
+    if (!record) continue
+
+    const band = getBandLabel(record.tests.CLS?.standardScore, 'standard', scheme)
+    clsDistribution[band] = (clsDistribution[band] || 0) + 1
+
+    const lowIndices = INDEX_PREFIXES
+      .map(prefix => ({ prefix, test: record.tests[prefix] }))
+      .filter(({ test }) => classifyScore(test?.standardScore, 'standard', scheme)?.tone === 'below')
+      .map(({ prefix, test }) => ({ test: prefix, score: test.standardScore }))
+
+    if (lowIndices.length > 0) {
+      belowAverageStudents.push({
+        id: student.id,
+        name: student.name,
+        date: record.date,
+        indices: lowIndices
+      })
+    }
+  }
+
+  return {
+    studentCount: students.length,
+    assessmentCount: records.length,
+    clsDistribution,
+    belowAverageStudents: belowAverageStudents.sort((a, b) => b.indices.length - a.indices.length)
+  }
+}
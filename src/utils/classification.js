@@ -0,0 +1,160 @@
+/**
+ * Descriptive classification
+ *
+ * The single source of score bands for charts, KPI counts, insights,
+ * retrieval and exports. Schemes live in src/config/classification.json.
+ * The program's chosen scheme is React state (see ClassificationContext) and
+ * is passed explicitly to these functions; it is remembered in localStorage.
+ */
+
+import classificationConfig from '../config/classification.json'
+import { NORMATIVE_PARAMS } from './scoreCalculator'
+
+// LocalStorage key for the program's chosen scheme
+const SCHEME_KEY = 'lt_classification_scheme'
+
+export const CLASSIFICATION_SCHEMES = classificationConfig.schemes.map(({ id, label }) => ({ id, label }))
+
+export const NO_DATA_LABEL = 'No Data'
+
+export const DEFAULT_SCHEME_ID = classificationConfig.defaultScheme
+
+/**
+ * Get a classification scheme by id (falls back to the configured default)
+ * @param {string} schemeId - Scheme id from the config
+ * @returns {Object} - { id, label, bands }
+ */
+export function getScheme(schemeId) {
+  const { schemes } = classificationConfig
+  return schemes.find(scheme => scheme.id === schemeId) ||
+    schemes.find(scheme => scheme.id === DEFAULT_SCHEME_ID) ||
+    schemes[0]
+}
+
+// Scheme used when a caller does not pass one (e.g. the knowledge base validator)
+export const DEFAULT_SCHEME = getScheme(DEFAULT_SCHEME_ID)
+
+/**
+ * Load the saved scheme id from localStorage
+ */
+export function loadSchemeId() {
+  if (typeof window === 'undefined') return DEFAULT_SCHEME_ID
+  try {
+    return getScheme(window.localStorage.getItem(SCHEME_KEY)).id
+  } catch {
+    return DEFAULT_SCHEME_ID
+  }
+}
+
+/**
+ * Remember the program's chosen scheme id
+ * @param {string} schemeId - Scheme id from the config
+ */
+export function saveSchemeId(schemeId) {
+  if (typeof window === 'undefined') return
+  try {
+    window.localStorage.setItem(SCHEME_KEY, schemeId)
+  } catch {
+    // fail silently – not critical
+  }
+}
+
+/**
+ * Bands of a scheme, lowest first, with inclusive max filled in
+ * @param {Object} scheme - Classification scheme (default: the configured default)
+ * @returns {Array} - [{ id, label, tone, color, min, max }] (min/max null when open-ended)
+ */
+export function getBands(scheme = DEFAULT_SCHEME) {
+  const bands = [...scheme.bands].sort((a, b) => (a.min ?? -Infinity) - (b.min ?? -Infinity))
+  return bands.map((band, index) => ({
+    ...band,
+    min: band.min ?? null,
+    max: index < bands.length - 1 ? bands[index + 1].min - 1 : null
+  }))
+}
+
+/**
+ * Convert a score to its standard-score equivalent (100 + 15z)
+ */
+function toStandardEquivalent(score, type) {
+  if (type === 'standard') return score
+  const params = NORMATIVE_PARAMS[type] || NORMATIVE_PARAMS.standard
+  const { mean, sd } = NORMATIVE_PARAMS.standard
+  return mean + sd * ((score - params.mean) / params.sd)
+}
+
+/**
+ * Classify a score with a scheme
+ * @param {number} score - Standard or scaled score
+ * @param {string} type - 'standard' or 'scaled' (default: 'standard')
+ * @param {Object} scheme - Classification scheme (default: the configured default)
+ * @returns {Object|null} - Band { id, label, tone, color, min, max }, or null if score is invalid
+ */
+export function classifyScore(score, type = 'standard', scheme = DEFAULT_SCHEME) {
+  if (score === null || score === undefined || isNaN(score)) return null
+
+  const value = toStandardEquivalent(score, type)
+  const bands = getBands(scheme)
+  let match = bands[0]
+  for (const band of bands) {
+    if (band.min === null || value >= band.min) match = band
+  }
+  return match
+}
+
+/**
+ * Classify a z-score with a scheme
+ */
+export function classifyZScore(zScore, scheme = DEFAULT_SCHEME) {
+  if (zScore === null || zScore === undefined || isNaN(zScore)) return null
+  const { mean, sd } = NORMATIVE_PARAMS.standard
+  return classifyScore(mean + sd * zScore, 'standard', scheme)
+}
+
+/**
+ * Band label for a score, or "No Data"
+ */
+export function getBandLabel(score, type = 'standard', scheme = DEFAULT_SCHEME) {
+  return classifyScore(score, type, scheme)?.label || NO_DATA_LABEL
+}
+
+/**
+ * Band tone ('below' | 'average' | 'above') for a score, or null
+ */
+export function getBandTone(score, type = 'standard', scheme = DEFAULT_SCHEME) {
+  return classifyScore(score, type, scheme)?.tone || null
+}
+
+/**
+ * Format a band's score range, e.g. "85–114", "≤ 70", "≥ 115"
+ */
+export function formatBandRange(band) {
+  if (!band) return ''
+  if (band.min === null) return `≤ ${band.max}`
+  if (band.max === null) return `≥ ${band.min}`
+  return `${band.min}–${band.max}`
+}
+
+/**
+ * Band boundaries in a chart's score units, clipped to [domainMin, domainMax]
+ * @param {number} domainMin - Lowest score on the axis
+ * @param {number} domainMax - Highest score on the axis
+ * @param {string} type - 'standard' or 'scaled' (default: 'standard')
+ * @param {Object} scheme - Classification scheme (default: the configured default)
+ * @returns {Array} - [{ band, from, to }] in ascending order
+ */
+export function getBandSegments(domainMin, domainMax, type = 'standard', scheme = DEFAULT_SCHEME) {
+  const params = NORMATIVE_PARAMS[type] || NORMATIVE_PARAMS.standard
+  const { mean, sd } = NORMATIVE_PARAMS.standard
+  const fromStandard = value => params.mean + params.sd * ((value - mean) / sd)
+
+  // Boundary between bands sits half a point below the next band's min
+  const bands = getBands(scheme)
+  return bands
+    .map((band, index) => ({
+      band,
+      from: band.min === null ? domainMin : Math.max(domainMin, fromStandard(band.min - 0.5)),
+      to: index < bands.length - 1 ? Math.min(domainMax, fromStandard(bands[index + 1].min - 0.5)) : domainMax
+    }))
+    .filter(segment => segment.to > segment.from)
+}
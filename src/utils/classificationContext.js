@@ -0,0 +1,20 @@
+/**
+ * Classification scheme context
+ *
+ * App keeps the program's chosen scheme in state and provides it here, so
+ * components deep in the tree can pass it to classifyScore, getBands and the
+ * other classification helpers without prop drilling.
+ */
+
+import { createContext, useContext } from 'react'
+import { DEFAULT_SCHEME } from './classification'
+
+export const ClassificationContext = createContext(DEFAULT_SCHEME)
+
+/**
+ * The classification scheme chosen in the app
+ * @returns {Object} - { id, label, bands }
+ */
+export function useClassificationScheme() {
+  return useContext(ClassificationContext)
+}
@@ -0,0 +1,197 @@
+/**
+ * Cohort analytics
+ *
+ * Program-wide outcomes across every loaded record: each student's latest
+ * index scores as histograms with medians and the share of students per
+ * classification band, plus assessment counts per year. Records can be
+ * narrowed by Status, Contact, Source, AdministeredBy and age range first.
+ */
+
+import { INDEX_PREFIXES, TEST_NAMES } from './dataParser'
+import { getLatestAssessments } from './caseloadUtils'
+import { getBands, classifyScore, DEFAULT_SCHEME } from './classification'
+
+// Histogram bin width in standard-score points
+export const HISTOGRAM_BIN_WIDTH = 5
+
+export const EMPTY_COHORT_FILTERS = {
+  status: '',
+  contact: '',
+  source: '',
+  administeredBy: '',
+  minAge: '',
+  maxAge: ''
+}
+
+/**
+ * Sorted distinct non-empty values
+ */
+function distinct(values) {
+  return [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b))
+}
+
+/**
+ * Label for the AdministeredBy cell (delivery mode or examiner name)
+ */
+export function getAdministeredByLabel(record) {
+  return record.administeredBy?.raw || null
+}
+
+/**
+ * Collect the values available to each cohort filter
+ * @param {Array} records - Processed assessment records
+ * @returns {Object} - { statuses, contacts, sources, administeredBy, ageRange: { min, max } }
+ */
+export function getCohortFilterOptions(records) {
+  const ages = records.map(record => record.age).filter(age => age !== null && age !== undefined)
+
+  return {
+    statuses: distinct(records.map(record => record.status)),
+    contacts: distinct(records.map(record => record.contact)),
+    sources: distinct(records.map(record => record.source)),
+    administeredBy: distinct(records.map(getAdministeredByLabel)),
+    ageRange: {
+      min: ages.length > 0 ? Math.min(...ages) : null,
+      max: ages.length > 0 ? Math.max(...ages) : null
+    }
+  }
+}
+
+/**
+ * Restrict records to the cohort filters (blank filters match everything)
+ * @param {Array} records - Processed assessment records
+ * @param {Object} filters - { status, contact, source, administeredBy, minAge, maxAge }; ages in months
+ * @returns {Array} - Matching records
+ */
+export function filterCohort(records, filters = EMPTY_COHORT_FILTERS) {
+  const minAge = filters.minAge === '' || filters.minAge === null ? null : Number(filters.minAge)
+  const maxAge = filters.maxAge === '' || filters.maxAge === null ? null : Number(filters.maxAge)
+
+  return records.filter(record => {
+    if (filters.status && record.status !== filters.status) return false
+    if (filters.contact && record.contact !== filters.contact) return false
+    if (filters.source && record.source !== filters.source) return false
+    if (filters.administeredBy && getAdministeredByLabel(record) !== filters.administeredBy) return false
+    if (minAge !== null && (record.age === null || record.age < minAge)) return false
+    if (maxAge !== null && (record.age === null || record.age > maxAge)) return false
+    return true
+  })
+}
+
+/**
+ * Median of a list of numbers
+ */
+export function median(values) {
+  if (values.length === 0) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle]
+}
+
+/**
+ * Count scores into fixed-width bins
+ * @returns {Array} - [{ from, to, count }] with from inclusive, to exclusive
+ */
+export function binScores(scores, binWidth = HISTOGRAM_BIN_WIDTH) {
+  if (scores.length === 0) return []
+  const first = Math.floor(Math.min(...scores) / binWidth) * binWidth
+  const last = Math.floor(Math.max(...scores) / binWidth) * binWidth
+
+  const bins = []
+  for (let from = first; from <= last; from += binWidth) {
+    bins.push({ from, to: from + binWidth, count: 0 })
+  }
+  for (const score of scores) {
+    bins[Math.floor((score - first) / binWidth)].count++
+  }
+  return bins
+}
+
+/**
+ * Share of scores in each band of a classification scheme
+ * @returns {Array} - [{ band, count, percent }] lowest band first
+ */
+export function getBandDistribution(scores, scheme = DEFAULT_SCHEME) {
+  const bands = getBands(scheme)
+  const counts = new Map(bands.map(band => [band.id, 0]))
+  for (const score of scores) {
+    const band = classifyScore(score, 'standard', scheme)
+    if (band) counts.set(band.id, counts.get(band.id) + 1)
+  }
+
+  return bands.map(band => ({
+    band,
+    count: counts.get(band.id),
+    percent: scores.length > 0 ? Math.round((counts.get(band.id) / scores.length) * 1000) / 10 : 0
+  }))
+}
+
+/**
+ * Summarize one index over the cohort's latest assessments
+ * @param {Array} latestRecords - One record per student
+ * @param {string} indexKey - Index prefix (e.g. 'CLS')
+ * @param {Object} scheme - Classification scheme for the bands (default: the configured default)
+ * @returns {Object} - { test, testName, n, median, mean, scores, bins, bands }
+ */
+export function summarizeIndex(latestRecords, indexKey, scheme = DEFAULT_SCHEME) {
+  const scores = latestRecords
+    .map(record => record.tests[indexKey]?.standardScore)
+    .filter(score => score !== null && score !== undefined)
+
+  const mean = scores.length > 0
+    ? Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 10) / 10
+    : null
+
+  return {
+    test: indexKey,
+    testName: TEST_NAMES[indexKey] || indexKey,
+    n: scores.length,
+    median: median(scores),
+    mean,
+    scores,
+    bins: binScores(scores),
+    bands: getBandDistribution(scores, scheme)
+  }
+}
+
+/**
+ * Assessment and student counts per calendar year of assessment
+ * @param {Array} records - Processed assessment records
+ * @returns {Array} - [{ year, assessments, students }] oldest year first
+ */
+export function countByYear(records) {
+  const years = new Map()
+  for (const record of records) {
+    const year = new Date(record.date).getFullYear()
+    if (!years.has(year)) years.set(year, { year, assessments: 0, studentIds: new Set() })
+    const entry = years.get(year)
+    entry.assessments++
+    entry.studentIds.add(record.studentId)
+  }
+
+  return [...years.values()]
+    .sort((a, b) => a.year - b.year)
+    .map(({ year, assessments, studentIds }) => ({ year, assessments, students: studentIds.size }))
+}
+
+/**
+ * Program-wide cohort summary
+ * Index distributions use each student's latest assessment; year counts use every assessment.
+ * @param {Array} records - Records already narrowed by filterCohort
+ * @param {Object} scheme - Classification scheme for the bands (default: the configured default)
+ * @returns {Object} - { studentCount, assessmentCount, indices, years }
+ */
+export function summarizeCohort(records, scheme = DEFAULT_SCHEME) {
+  const latestRecords = [...getLatestAssessments(records).values()]
+
+  return {
+    studentCount: latestRecords.length,
+    assessmentCount: records.length,
+    indices: INDEX_PREFIXES
+      .map(indexKey => summarizeIndex(latestRecords, indexKey, scheme))
+      .filter(summary => summary.n > 0),
+    years: countByYear(records)
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Student comparison
+ *
+ * Lines up the latest assessments of several students test by test and marks
+ * scores that fall in a different classification band from the first
+ * (reference) student's score on the same test.
+ */
+
+import { INDEX_PREFIXES, SUBTEST_PREFIXES, TEST_NAMES } from './dataParser'
+import { classifyScore, DEFAULT_SCHEME } from './classification'
+import { buildIndexKpis, DEFAULT_KPI_TESTS } from './kpiUtils'
+
+// Most students shown side by side
+export const MAX_COMPARED_STUDENTS = 4
+
+/**
+ * A student's assessments, newest first
+ * @param {Array} records - Processed assessment records
+ * @param {string} studentId - LT_Id
+ * @returns {Array} - Assessment records sorted newest first
+ */
+export function getStudentAssessments(records, studentId) {
+  return records
+    .filter(record => record.studentId === studentId)
+    .sort((a, b) => new Date(b.date) - new Date(a.date))
+}
+
+/**
+ * Build one comparison row for a test across every compared column
+ */
+function buildRow(columns, testKey, kind, scheme) {
+  const field = kind === 'subtest' ? 'scaledScore' : 'standardScore'
+  const type = kind === 'subtest' ? 'scaled' : 'standard'
+
+  const cells = columns.map(column => {
+    const score = column.latest?.tests?.[testKey]?.[field] ?? null
+    return { score, band: classifyScore(score, type, scheme), crossesBand: false }
+  })
+
+  // Band of the first student with a score is the reference
+  const reference = cells.find(cell => cell.band)
+  for (const cell of cells) {
+    cell.crossesBand = Boolean(reference && cell.band && cell.band.id !== reference.band.id)
+  }
+
+  return {
+    test: testKey,
+    testName: TEST_NAMES[testKey] || testKey,
+    kind,
+    cells,
+    crossesBand: cells.some(cell => cell.crossesBand)
+  }
+}
+
+/**
+ * Compare the latest assessments of several students
+ * @param {Array} records - Processed assessment records
+ * @param {Array} students - Student objects ({ id, name }) in column order
+ * @param {Array} kpiTests - Index prefixes shown as KPI cards
+ * @param {Object} scheme - Classification scheme for the bands (default: the configured default)
+ * @returns {Object} - { columns: [{ student, latest, previous, kpis }], indexRows, subtestRows }
+ */
+export function buildStudentComparison(records, students, kpiTests = DEFAULT_KPI_TESTS, scheme = DEFAULT_SCHEME) {
+  const columns = students.map(student => {
+    const assessments = getStudentAssessments(records, student.id)
+    const [latest = null, previous = null] = assessments
+    return {
+      student,
+      latest,
+      previous,
+      kpis: buildIndexKpis(assessments, kpiTests)
+    }
+  })
+
+  const hasScore = row => row.cells.some(cell => cell.score !== null)
+
+  return {
+    columns,
+    indexRows: INDEX_PREFIXES.map(prefix => buildRow(columns, prefix, 'index', scheme)).filter(hasScore),
+    subtestRows: SUBTEST_PREFIXES.map(prefix => buildRow(columns, prefix, 'subtest', scheme)).filter(hasScore)
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * Composite derivation
+ *
+ * Recomputes each composite index from its subtests' scaled scores using the
+ * configurable subtest mapping and sum-of-scaled-score conversion tables
+ * (src/config/composites.json), and compares the result with the stored index.
+ * Both the mapping and the tables depend on the age band at testing.
+ */
+
+import compositeConfig from '../config/composites.json'
+import { TEST_NAMES } from './dataParser'
+
+export const COMPOSITE_STATUS = {
+  MATCH: 'match',
+  MISMATCH: 'mismatch',
+  INCOMPLETE: 'incomplete',
+  NO_CONVERSION: 'no-conversion',
+  NO_NORMS: 'no-norms',
+  NO_AGE_BAND: 'no-age-band',
+  NOT_STORED: 'not-stored'
+}
+
+// Every index configured in any age band, in configuration order
+const COMPOSITE_INDICES = [...new Set(
+  compositeConfig.ageBands.flatMap(band => Object.keys(band.indices))
+)]
+
+/**
+ * Find the configured age band for an age at testing
+ * @param {number|null} ageMonths - Age at testing in months
+ * @returns {Object|null} - Age band, or null when the age is missing or outside every band
+ */
+export function getAgeBand(ageMonths) {
+  if (ageMonths === null || ageMonths === undefined) return null
+  return compositeConfig.ageBands.find(band => ageMonths >= band.minMonths && ageMonths <= band.maxMonths) || null
+}
+
+/**
+ * Get the configured subtests feeding an index at an age
+ * @param {string} indexKey - Index prefix (e.g. 'CLS')
+ * @param {number|null} ageMonths - Age at testing in months
+ * @returns {Array} - Subtest prefixes, empty if the index is not configured for that age
+ */
+export function getCompositeSubtests(indexKey, ageMonths) {
+  return getAgeBand(ageMonths)?.indices[indexKey]?.subtests || []
+}
+
+/**
+ * Convert a sum of scaled scores to an index standard score using an age band's norms
+ * @returns {number|null} - Standard score, or null when the sum is not in the table
+ */
+export function convertSumOfScaled(indexKey, sumOfScaled, ageMonths) {
+  const value = getAgeBand(ageMonths)?.indices[indexKey]?.conversion?.[String(sumOfScaled)]
+  return value ?? null
+}
+
+/**
+ * Whether an index has a conversion table for an age band
+ */
+function hasNorms(band, indexKey) {
+  return Object.keys(band?.indices[indexKey]?.conversion || {}).length > 0
+}
+
+/**
+ * Whether any conversion table has been filled in from the norms
+ * Without one, stored composites cannot be checked at all.
+ */
+export function hasConversionTables() {
+  return compositeConfig.ageBands.some(band => Object.keys(band.indices).some(indexKey => hasNorms(band, indexKey)))
+}
+
+/**
+ * Recompute one index for one assessment and compare it with the stored score
+ * @param {Object} assessment - Processed assessment record
+ * @param {string} indexKey - Index prefix
+ * @returns {Object} - { index, ageBand, subtests, missingSubtests, sumOfScaled, derived, stored, difference, status }
+ */
+export function deriveComposite(assessment, indexKey) {
+  const age = assessment?.age ?? null
+  const band = getAgeBand(age)
+  const subtests = getCompositeSubtests(indexKey, age)
+  const stored = assessment?.tests?.[indexKey]?.standardScore ?? null
+  const scaledScores = subtests.map(prefix => assessment?.tests?.[prefix]?.scaledScore ?? null)
+  const missingSubtests = subtests.filter((_, i) => scaledScores[i] === null)
+
+  const result = {
+    index: indexKey,
+    ageBand: band?.label ?? null,
+    subtests,
+    missingSubtests,
+    sumOfScaled: null,
+    derived: null,
+    stored,
+    difference: null,
+    status: COMPOSITE_STATUS.INCOMPLETE
+  }
+
+  // Without an age band the subtests feeding the index are unknown
+  if (stored === null) {
+    result.status = COMPOSITE_STATUS.NOT_STORED
+  } else if (!band) {
+    result.status = COMPOSITE_STATUS.NO_AGE_BAND
+  }
+  if (stored === null || !band || missingSubtests.length > 0) return result
+
+  result.sumOfScaled = scaledScores.reduce((sum, score) => sum + score, 0)
+  result.derived = convertSumOfScaled(indexKey, result.sumOfScaled, age)
+
+  if (!hasNorms(band, indexKey)) {
+    result.status = COMPOSITE_STATUS.NO_NORMS
+  } else if (result.derived === null) {
+    result.status = COMPOSITE_STATUS.NO_CONVERSION
+  } else {
+    result.difference = stored - result.derived
+    result.status = Math.abs(result.difference) <= compositeConfig.tolerance
+      ? COMPOSITE_STATUS.MATCH
+      : COMPOSITE_STATUS.MISMATCH
+  }
+
+  return result
+}
+
+/**
+ * Recompute every configured index for one assessment
+ * @param {Object} assessment - Processed assessment record
+ * @returns {Array} - deriveComposite results in configuration order
+ */
+export function deriveComposites(assessment) {
+  return COMPOSITE_INDICES.map(indexKey => deriveComposite(assessment, indexKey))
+}
+
+/**
+ * Turn one derivation result into a data-quality finding (same shape as import issues)
+ * @returns {Object|null} - Finding, or null when nothing needs reporting
+ */
+function toFinding(record, result) {
+  const indexName = TEST_NAMES[result.index] || result.index
+  const formula = `${result.subtests.join(' + ')} = ${result.sumOfScaled}`
+  const base = {
+    row: record.row ?? null,
+    column: `${result.index}_StandardScore`,
+    studentId: record.studentId,
+    date: record.date
+  }
+
+  switch (result.status) {
+    case COMPOSITE_STATUS.MISMATCH:
+      return {
+        ...base,
+        level: 'error',
+        type: 'composite-mismatch',
+        value: String(result.stored),
+        message: `${indexName} stored as ${result.stored} but ${formula} converts to ${result.derived}`
+      }
+    case COMPOSITE_STATUS.NO_CONVERSION:
+      return {
+        ...base,
+        level: 'info',
+        type: 'composite-unverified',
+        value: String(result.stored),
+        message: `${indexName} not verified: sum of scaled scores ${formula} is not in the ${result.ageBand} conversion table`
+      }
+    case COMPOSITE_STATUS.NO_AGE_BAND:
+      return {
+        ...base,
+        level: 'info',
+        type: 'composite-unverified',
+        value: String(result.stored),
+        message: record.age === null
+          ? `${indexName} not verified: age at testing is missing, so its subtests and norms are unknown`
+          : `${indexName} not verified: age ${record.age} months is outside the configured age bands`
+      }
+    case COMPOSITE_STATUS.INCOMPLETE:
+      return {
+        ...base,
+        level: 'warning',
+        type: 'composite-incomplete',
+        value: String(result.stored),
+        message: `${indexName} stored as ${result.stored} but ${result.missingSubtests.join(', ')} scaled score${result.missingSubtests.length !== 1 ? 's are' : ' is'} missing`
+      }
+    default:
+      return null
+  }
+}
+
+/**
+ * Check stored composites against recomputed values across all records
+ * The check is inactive (no findings) until a conversion table is filled in.
+ * @param {Array} records - Processed assessment records
+ * @returns {Array} - Data-quality findings { level, type, row, column, value, message, studentId, date }
+ */
+export function findCompositeIssues(records) {
+  const findings = []
+  if (!hasConversionTables()) return findings
+  for (const record of records || []) {
+    for (const result of deriveComposites(record)) {
+      const finding = toFinding(record, result)
+      if (finding) findings.push(finding)
+    }
+  }
+  return findings
+}
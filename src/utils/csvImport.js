@@ -0,0 +1,123 @@
+/**
+ * CSV import utilities for CELF-P3 assessment exports
+ *
+ * Wraps Papa.parse so a file chosen by the user (or the bundled sample)
+ * runs through the same processCSVData → getUniqueStudents pipeline,
+ * alongside the import validation pass and the composite recomputation check.
+ */
+
+import Papa from 'papaparse'
+import { processCSVData, getUniqueStudents } from './dataParser'
+import { validateAssessmentRows, appendDataQualityFindings } from './importValidator'
+import { findCompositeIssues } from './compositeDerivation'
+
+// Sample export shipped in the public folder
+export const SAMPLE_CSV_URL = '/Copy of CELF-P3 - Responses.csv'
+
+/**
+ * Count line breaks in text[from, to)
+ */
+function countNewlines(text, from, to) {
+  let count = 0
+  for (let i = from; i < to; i++) {
+    if (text[i] === '\n') count++
+  }
+  return count
+}
+
+/**
+ * Parse CSV text into rows, recording the file line each row starts on
+ * Papa's step cursor is the offset just past the row (including its line
+ * break), so skipped blank lines and quoted multi-line cells are counted.
+ * @param {string} text - Raw CSV text
+ * @returns {Object} - { rows, fields, lineNumbers }
+ */
+function parseRows(text) {
+  const rows = []
+  const lineNumbers = []
+  let fields = []
+  let offset = 0
+  let newlines = 0
+
+  Papa.parse(text, {
+    header: true,
+    skipEmptyLines: true,
+    step: ({ data, meta }) => {
+      newlines += countNewlines(text, offset, meta.cursor)
+      offset = meta.cursor
+      fields = meta.fields || fields
+
+      // Last line of the row, minus the breaks inside its quoted cells
+      const endLine = text[meta.cursor - 1] === '\n' ? newlines : newlines + 1
+      const innerBreaks = Object.values(data).reduce(
+        (sum, value) => sum + countNewlines(String(value ?? ''), 0, String(value ?? '').length),
+        0
+      )
+
+      rows.push(data)
+      lineNumbers.push(endLine - innerBreaks)
+    }
+  })
+
+  return { rows, fields, lineNumbers }
+}
+
+/**
+ * Parse a CSV source into assessment records and students
+ * @param {File|string} source - File object or raw CSV text
+ * @returns {Promise<Object>} - Resolves to { records, students, fields, rows, validation }
+ */
+export function parseAssessmentCSV(source) {
+  const readText = typeof source === 'string' ? Promise.resolve(source) : source.text()
+
+  return readText.then(text => {
+    const { rows, fields, lineNumbers } = parseRows(text)
+    const records = processCSVData(rows)
+    const students = getUniqueStudents(records)
+
+    return {
+      records,
+      students,
+      fields,
+      rows,
+      validation: appendDataQualityFindings(
+        validateAssessmentRows(fields, rows, lineNumbers),
+        findCompositeIssues(records)
+      )
+    }
+  })
+}
+
+/**
+ * Fetch and parse the sample CSV from the public folder
+ * @returns {Promise<Object>} - Same shape as parseAssessmentCSV
+ */
+export function loadSampleCSV() {
+  return fetch(SAMPLE_CSV_URL)
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`Sample file not found (${response.status})`)
+      }
+      return response.text()
+    })
+    .then(csvText => parseAssessmentCSV(csvText))
+}
+
+/**
+ * Build a dataset entry for the in-session dataset list
+ * @param {string} name - Display name (usually the file name)
+ * @param {Object} parsed - Result of parseAssessmentCSV
+ * @returns {Object} - Dataset with a unique id and import timestamp
+ */
+export function createDataset(name, parsed) {
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    importedAt: new Date(),
+    records: parsed.records,
+    students: parsed.students,
+    fields: parsed.fields,
+    rows: parsed.rows,
+    validation: parsed.validation
+  }
+}
@@ -5,7 +5,10 @@
  * - Standard scores: Mean = 100, SD = 15
  * - Scaled scores: Mean = 10, SD = 3
  * 
- * Handles CSV parsing, student extraction, and test name mapping
+ * Handles CSV parsing, student extraction, and test name mapping.
+ * Each record keeps the row-level metadata (Contact, Status, Source,
+ * DateRecorded, AdministeredBy, ScannedRecordForm) and, per subtest, the
+ * age equivalent, GSV, item scores and examiner comments.
  */
 
 // Test name mappings from CSV column prefixes to display names
@@ -13,12 +16,12 @@ export const TEST_NAMES = {
   SC: 'Sentence Comprehension',
   WS: 'Word Structure',
   EV: 'Expressive Vocabulary',
-  FD: 'Formulated Sentences',
+  FD: 'Following Directions',
   RS: 'Recalling Sentences',
   BC: 'Basic Concepts',
   WC: 'Word Classes',
   PA: 'Phonological Awareness',
-  DPP: 'Following Directions',
+  DPP: 'Descriptive Pragmatics Profile',
   PRS: 'Understanding Spoken Paragraphs',
   CLS: 'Core Language Score',
   RLI: 'Receptive Language Index',
@@ -29,10 +32,24 @@ export const TEST_NAMES = {
   ErLi: 'Early Literacy Index'
 }
 
+// Subtest prefixes (scaled + standard scores) vs composite index prefixes
+export const SUBTEST_PREFIXES = ['SC', 'WS', 'EV', 'FD', 'RS', 'BC', 'WC', 'PA', 'DPP', 'PRS']
+export const INDEX_PREFIXES = ['CLS', 'RLI', 'ELI', 'LCI', 'LSI', 'ALRI', 'ErLi']
+
+/**
+ * Get the audit column holding the originally entered score for a test.
+ * Subtests record the entered scaled score, indices the entered standard score.
+ */
+export function getEnteredScoreColumn(prefix) {
+  return INDEX_PREFIXES.includes(prefix)
+    ? `${prefix}_OldStandardScore (entered)`
+    : `${prefix}_OldScaledScore (entered)`
+}
+
 /**
  * Parse a date string (handles various formats)
  */
-function parseDate(dateStr) {
+export function parseDate(dateStr) {
   if (!dateStr || dateStr.trim() === '') return null
   
   // Try different date formats
@@ -59,17 +76,118 @@ function parseDate(dateStr) {
   return null
 }
 
+// Cell values the export uses for "no score"
+export const MISSING_NUMBER_VALUES = ['#N/A', '-1']
+
+/**
+ * Normalize a numeric cell before parsing: trimmed text, or null when blank
+ * Shared by parseNumber and the import validator so both read cells alike.
+ */
+export function normalizeNumericCell(value) {
+  if (value === undefined || value === null) return null
+  const text = String(value).trim()
+  return text === '' ? null : text
+}
+
 /**
  * Parse a number, handling empty strings and invalid values
  */
-function parseNumber(value) {
-  if (!value || value === '' || value === '#N/A' || value === '-1') {
+export function parseNumber(value) {
+  const text = normalizeNumericCell(value)
+  if (text === null || MISSING_NUMBER_VALUES.includes(text)) {
     return null
   }
-  const num = parseFloat(value)
+  const num = parseFloat(text)
   return isNaN(num) ? null : num
 }
 
+// Separator between per-item values in the _Scores and _Comments columns
+export const ITEM_DELIMITER = '\u2665'
+
+// Canonical enrollment statuses used in the Status column
+export const STATUSES = ['Enrolled', 'Importing', 'Not Enrolled', 'Alumni']
+
+// Statuses hidden from the roster until explicitly shown
+export const DEFAULT_HIDDEN_STATUSES = ['Alumni']
+
+/**
+ * Parse a free-text cell, treating blanks and #N/A as missing
+ */
+export function parseText(value) {
+  if (value === undefined || value === null) return null
+  const text = String(value).trim()
+  if (text === '' || text === '#N/A') return null
+  return text
+}
+
+/**
+ * Normalize a Status cell to one of STATUSES (case-insensitive)
+ */
+export function parseStatus(value) {
+  const text = parseText(value)
+  if (!text) return null
+  const canonical = STATUSES.find(status => status.toLowerCase() === text.toLowerCase())
+  return canonical || text
+}
+
+/**
+ * Parse the AdministeredBy cell, which holds either a delivery mode
+ * (e.g. "InPerson", "Remote") or the examiner's name
+ * @returns {Object} - { mode: 'in-person'|'remote'|null, examiner, raw }
+ */
+export function parseAdministeredBy(value) {
+  const raw = parseText(value)
+  if (!raw) return { mode: null, examiner: null, raw: null }
+
+  const compact = raw.toLowerCase().replace(/[\s_-]+/g, '')
+  if (compact === 'inperson') {
+    return { mode: 'in-person', examiner: null, raw }
+  }
+  if (['remote', 'remotely', 'virtual', 'telepractice', 'teletherapy', 'telehealth'].includes(compact)) {
+    return { mode: 'remote', examiner: null, raw }
+  }
+  return { mode: null, examiner: raw, raw }
+}
+
+/**
+ * Split a delimited per-item cell into an array (empty items become null)
+ */
+export function parseItemList(value) {
+  const text = parseText(value)
+  if (!text) return []
+  return text.split(ITEM_DELIMITER).map(item => item.trim() || null)
+}
+
+/**
+ * Parse an age-equivalent cell in years:months form (e.g. "4:5", "<4:0", ">7:0").
+ * A leading < or > marks a floor/ceiling: the true age equivalent lies below/above it.
+ * @returns {Object|null} - { months, qualifier: '<'|'>'|null, display }, months is null if unreadable
+ */
+export function parseAgeEquivalent(value) {
+  const text = parseText(value)
+  if (!text) return null
+
+  const match = text.match(/^([<>])?\s*(\d+)\s*[:;.]\s*(\d{1,2})$/)
+  if (!match || Number(match[3]) > 11) {
+    return { months: null, qualifier: null, display: text }
+  }
+
+  return {
+    months: Number(match[2]) * 12 + Number(match[3]),
+    qualifier: match[1] || null,
+    display: text.replace(/\s+/g, '')
+  }
+}
+
+/**
+ * Extract examiner comments with their 1-based item numbers
+ */
+function parseItemComments(value) {
+  return parseItemList(value)
+    .map((text, index) => ({ item: index + 1, text }))
+    .filter(comment => comment.text !== null)
+}
+
 /**
  * Extract test data from a CSV row
  */
@@ -78,6 +196,8 @@ function extractTestData(row, prefix) {
   const scaledScore = parseNumber(row[`${prefix}_ScaledScore`])
   const percentile = parseNumber(row[`${prefix}_PctRank`])
   const rawScore = parseNumber(row[`${prefix}_RawScore`])
+  const enteredScore = parseNumber(row[getEnteredScoreColumn(prefix)])
+  const isSubtest = SUBTEST_PREFIXES.includes(prefix)
   
   // Only include if we have at least a standard score or scaled score
   if (standardScore === null && scaledScore === null) {
@@ -89,10 +209,50 @@ function extractTestData(row, prefix) {
     scaledScore: scaledScore,
     percentile: percentile,
     rawScore: rawScore,
+    enteredScore: enteredScore,
+    // Subtest-only columns (indices have no item-level data)
+    ageEquivalent: isSubtest ? parseAgeEquivalent(row[`${prefix}_AgeEquiv`]) : null,
+    gsv: isSubtest ? parseNumber(row[`${prefix}_GSV`]) : null,
+    itemScores: isSubtest ? parseItemList(row[`${prefix}_Scores`]) : [],
+    comments: isSubtest ? parseItemComments(row[`${prefix}_Comments`]) : [],
     testName: TEST_NAMES[prefix] || prefix
   }
 }
 
+/**
+ * Compare entered audit scores with the stored scores for one record
+ * Every test with an entered score is checked, including tests whose stored
+ * score is missing (those have no entry in `tests`).
+ * @param {Object} row - Raw CSV row
+ * @param {Object} tests - Test data keyed by prefix
+ * @returns {Array} - Mismatches needing re-verification
+ */
+export function findEntryMismatches(row, tests) {
+  const mismatches = []
+
+  for (const prefix of Object.keys(TEST_NAMES)) {
+    const column = getEnteredScoreColumn(prefix)
+    const entered = parseNumber(row[column])
+    if (entered === null) continue
+
+    const field = INDEX_PREFIXES.includes(prefix) ? 'standardScore' : 'scaledScore'
+    const stored = tests[prefix]?.[field] ?? null
+
+    if (stored !== entered) {
+      mismatches.push({
+        test: prefix,
+        testName: TEST_NAMES[prefix],
+        field,
+        column,
+        entered,
+        stored
+      })
+    }
+  }
+
+  return mismatches
+}
+
 /**
  * Process raw CSV data into structured format
  */
@@ -109,6 +269,7 @@ export function processCSVData(rawData) {
     const studentName = row.Child_Initials?.trim() || `Student ${studentId}`
     const date = parseDate(row.AssessmentDate)
     const age = parseNumber(row.Age)
+    const rowNumber = parseNumber(row.Row)
     
     // Extract all test data
     const tests = {}
@@ -128,7 +289,15 @@ export function processCSVData(rawData) {
         studentName,
         date: date || new Date(),
         age: age,
-        tests
+        row: rowNumber,
+        contact: parseText(row.Contact),
+        status: parseStatus(row.Status),
+        source: parseText(row.Source),
+        dateRecorded: parseDate(row.DateRecorded),
+        administeredBy: parseAdministeredBy(row.AdministeredBy),
+        scannedRecordForm: parseText(row.ScannedRecordForm),
+        tests,
+        entryMismatches: findEntryMismatches(row, tests)
       })
     }
   }
@@ -136,6 +305,24 @@ export function processCSVData(rawData) {
   return processed
 }
 
+/**
+ * Flatten entry mismatches across all records into a re-verification list
+ * @param {Array} records - Processed assessment records
+ * @returns {Array} - One item per mismatched score, oldest assessment first
+ */
+export function collectEntryMismatches(records) {
+  return records
+    .filter(record => record.entryMismatches && record.entryMismatches.length > 0)
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .flatMap(record => record.entryMismatches.map(mismatch => ({
+      ...mismatch,
+      studentId: record.studentId,
+      studentName: record.studentName,
+      date: record.date,
+      row: record.row
+    })))
+}
+
 /**
  * Get unique students from processed data
  */
@@ -146,9 +333,22 @@ export function getUniqueStudents(data) {
     if (!studentMap.has(record.studentId)) {
       studentMap.set(record.studentId, {
         id: record.studentId,
-        name: record.studentName
+        name: record.studentName,
+        status: null,
+        latestDate: null,
+        assessmentCount: 0
       })
     }
+
+    // Status comes from the most recent assessment that records one
+    const student = studentMap.get(record.studentId)
+    student.assessmentCount++
+    if (!student.latestDate || record.date > student.latestDate) {
+      student.latestDate = record.date
+      if (record.status) student.status = record.status
+    } else if (!student.status && record.status) {
+      student.status = record.status
+    }
   }
   
   return Array.from(studentMap.values()).sort((a, b) => 
@@ -203,18 +403,3 @@ function erf(x) {
 
   return sign * y
 }
-
-/**
- * Get interpretation label for a score
- */
-export function getScoreInterpretation(score, mean = 100, sd = 15) {
-  if (score === null || score === undefined) return 'No Data'
-  
-  const z = (score - mean) / sd
-  
-  if (z <= -2) return 'Significantly Below Average'
-  if (z <= -1) return 'Below Average'
-  if (z <= 1) return 'Average'
-  if (z <= 2) return 'Above Average'
-  return 'Significantly Above Average'
-}
@@ -0,0 +1,220 @@
+/**
+ * Discrepancy analysis
+ *
+ * Compares every pair of composite indices, and each subtest against the
+ * child's own mean scaled score, using configurable critical values and base
+ * rates (src/config/discrepancy.json). Significant, uncommon differences form
+ * the child's personal strengths/weaknesses profile.
+ */
+
+import discrepancyConfig from '../config/discrepancy.json'
+import { INDEX_PREFIXES, SUBTEST_PREFIXES, TEST_NAMES } from './dataParser'
+import { NORMATIVE_PARAMS, zScoreToPercentile } from './scoreCalculator'
+import { getSEM } from './reliability'
+
+/**
+ * Get the z value for the configured (or given) significance level
+ */
+function getCriticalZ(level = discrepancyConfig.significanceLevel) {
+  return discrepancyConfig.criticalZ[level] ?? discrepancyConfig.criticalZ['0.05']
+}
+
+/**
+ * Look up an index-pair override in either key order
+ */
+function getPairOverride(a, b) {
+  const overrides = discrepancyConfig.pairOverrides || {}
+  return overrides[`${a}-${b}`] || overrides[`${b}-${a}`] || null
+}
+
+/**
+ * Base rate (%) from a manual table: the percent listed for the largest
+ * tabled difference not exceeding the observed one
+ */
+function lookupBaseRate(table, difference) {
+  const rows = [...table].sort((x, y) => x[0] - y[0])
+  let rate = 100
+  for (const [threshold, percent] of rows) {
+    if (difference >= threshold) rate = percent
+  }
+  return rate
+}
+
+/**
+ * Base rate (%) under a normal approximation: share of children whose
+ * difference is at least this large in the same direction
+ */
+function estimateBaseRate(difference, differenceSD) {
+  if (!differenceSD) return null
+  return Math.round((100 - zScoreToPercentile(Math.abs(difference) / differenceSD)) * 10) / 10
+}
+
+/**
+ * Build one index-pair comparison
+ */
+function compareIndexPair(a, b, scoreA, scoreB, level) {
+  const override = getPairOverride(a, b) || {}
+  const { sd } = NORMATIVE_PARAMS.standard
+  const difference = scoreA - scoreB
+  const magnitude = Math.abs(difference)
+
+  const criticalValue = override.criticalValue ??
+    Math.round(getCriticalZ(level) * Math.sqrt(getSEM(a) ** 2 + getSEM(b) ** 2) * 10) / 10
+
+  const intercorrelation = override.intercorrelation ?? discrepancyConfig.indexIntercorrelation
+  const baseRate = override.baseRates
+    ? lookupBaseRate(override.baseRates, magnitude)
+    : estimateBaseRate(magnitude, sd * Math.sqrt(2 * (1 - intercorrelation)))
+
+  const significant = magnitude >= criticalValue
+  return {
+    a,
+    b,
+    scoreA,
+    scoreB,
+    difference,
+    criticalValue,
+    significant,
+    baseRate,
+    unusual: significant && baseRate !== null && baseRate <= discrepancyConfig.unusualBaseRate
+  }
+}
+
+/**
+ * Pairwise discrepancy matrix across the composite indices of one assessment
+ * @param {Object} assessment - Processed assessment record
+ * @param {string} level - Significance level key (default from config, e.g. '0.05')
+ * @returns {Object} - { indices, pairs, lookup(a, b) }
+ */
+export function getIndexDiscrepancyMatrix(assessment, level) {
+  const indices = INDEX_PREFIXES.filter(prefix => {
+    const score = assessment?.tests?.[prefix]?.standardScore
+    return score !== null && score !== undefined
+  })
+
+  const pairs = []
+  indices.forEach((a, i) => {
+    indices.slice(i + 1).forEach(b => {
+      pairs.push(compareIndexPair(a, b, assessment.tests[a].standardScore, assessment.tests[b].standardScore, level))
+    })
+  })
+
+  const byKey = new Map(pairs.map(pair => [`${pair.a}-${pair.b}`, pair]))
+
+  return {
+    indices,
+    pairs,
+    // Comparison of row index a against column index b (difference = a − b)
+    lookup(a, b) {
+      const pair = byKey.get(`${a}-${b}`)
+      if (pair) return pair
+      const reversed = byKey.get(`${b}-${a}`)
+      return reversed ? { ...reversed, a, b, scoreA: reversed.scoreB, scoreB: reversed.scoreA, difference: -reversed.difference } : null
+    }
+  }
+}
+
+/**
+ * Compare each subtest's scaled score with the child's own mean scaled score
+ * @param {Object} assessment - Processed assessment record
+ * @param {string} level - Significance level key (default from config)
+ * @returns {Object} - { mean, items: [{ test, testName, score, difference, criticalValue, significant, baseRate, classification }] }
+ */
+export function getSubtestDiscrepancies(assessment, level) {
+  const subtests = SUBTEST_PREFIXES.filter(prefix => {
+    const score = assessment?.tests?.[prefix]?.scaledScore
+    return score !== null && score !== undefined
+  })
+
+  const k = subtests.length
+  if (k < discrepancyConfig.minimumSubtests) return { mean: null, items: [] }
+
+  const { sd } = NORMATIVE_PARAMS.scaled
+  const scores = subtests.map(prefix => assessment.tests[prefix].scaledScore)
+  const mean = scores.reduce((sum, score) => sum + score, 0) / k
+  const semSquares = subtests.map(prefix => getSEM(prefix, 'scaled') ** 2)
+  const sumSemSquares = semSquares.reduce((sum, value) => sum + value, 0)
+
+  const items = subtests.map((prefix, i) => {
+    const override = (discrepancyConfig.subtestOverrides || {})[prefix] || {}
+    const difference = Math.round((scores[i] - mean) * 10) / 10
+    const magnitude = Math.abs(difference)
+
+    // Error variance of (subtest − mean of k subtests including it)
+    const errorSD = Math.sqrt(semSquares[i] * (1 - 2 / k) + sumSemSquares / (k * k))
+    const criticalValue = override.criticalValue ?? Math.round(getCriticalZ(level) * errorSD * 10) / 10
+
+    const rho = discrepancyConfig.subtestIntercorrelation
+    const baseRate = override.baseRates
+      ? lookupBaseRate(override.baseRates, magnitude)
+      : estimateBaseRate(magnitude, sd * Math.sqrt(((k - 1) * (1 - rho)) / k))
+
+    const significant = magnitude >= criticalValue
+    return {
+      test: prefix,
+      testName: assessment.tests[prefix].testName || TEST_NAMES[prefix] || prefix,
+      score: scores[i],
+      difference,
+      criticalValue,
+      significant,
+      baseRate,
+      classification: significant ? (difference > 0 ? 'strength' : 'weakness') : null
+    }
+  })
+
+  return { mean: Math.round(mean * 10) / 10, items }
+}
+
+/**
+ * Personal strengths/weaknesses profile: significant subtest deviations from
+ * the child's own mean plus significant index-pair discrepancies
+ * @param {Object} assessment - Processed assessment record
+ * @param {string} level - Significance level key (default from config)
+ * @returns {Object} - { mean, strengths, weaknesses, indexDiscrepancies }
+ */
+export function getStrengthsWeaknessesProfile(assessment, level) {
+  const { mean, items } = getSubtestDiscrepancies(assessment, level)
+  const { pairs } = getIndexDiscrepancyMatrix(assessment, level)
+
+  return {
+    mean,
+    strengths: items.filter(item => item.classification === 'strength')
+      .sort((x, y) => y.difference - x.difference),
+    weaknesses: items.filter(item => item.classification === 'weakness')
+      .sort((x, y) => x.difference - y.difference),
+    indexDiscrepancies: pairs.filter(pair => pair.significant)
+      .sort((x, y) => Math.abs(y.difference) - Math.abs(x.difference))
+  }
+}
+
+/**
+ * Build the strengths/weaknesses insight for the Insights panel and exports
+ * @param {Object} assessment - Processed assessment record
+ * @returns {Object|null} - Insight { type, title, items }, or null when nothing is significant
+ */
+export function buildDiscrepancyInsight(assessment) {
+  const profile = getStrengthsWeaknessesProfile(assessment)
+  const formatRate = rate => (rate !== null ? `, base rate ${rate}%` : '')
+
+  const items = [
+    ...profile.strengths.map(item =>
+      `Strength – ${item.testName}: ${item.score} vs own mean ${profile.mean} (+${item.difference}${formatRate(item.baseRate)})`
+    ),
+    ...profile.weaknesses.map(item =>
+      `Weakness – ${item.testName}: ${item.score} vs own mean ${profile.mean} (${item.difference}${formatRate(item.baseRate)})`
+    ),
+    ...profile.indexDiscrepancies.map(pair => {
+      const [higher, lower] = pair.difference > 0 ? [pair.a, pair.b] : [pair.b, pair.a]
+      return `${higher} > ${lower} by ${Math.abs(pair.difference)} points ` +
+        `(critical ${pair.criticalValue}${formatRate(pair.baseRate)}${pair.unusual ? ', unusual' : ''})`
+    })
+  ]
+
+  if (items.length === 0) return null
+
+  return {
+    type: 'strengths-weaknesses',
+    title: 'Strengths & Weaknesses Profile',
+    items
+  }
+}
@@ -4,6 +4,12 @@
  * Supports text file export and print-friendly HTML reports
  */
 
+import { getAgeGaps, getLaggingSkills, formatAgeGap } from './ageGapUtils'
+import { getConfidenceInterval, formatConfidenceInterval, DEFAULT_CONFIDENCE_LEVEL } from './reliability'
+import { getProgress } from './progressEngine'
+import { classifyScore, getBandLabel, DEFAULT_SCHEME } from './classification'
+import { translate } from './languageUtils'
+
 /**
  * Export a chart as PNG image
  */
@@ -44,10 +50,173 @@ export function exportChartAsPNG(svgElement, filename = 'chart.png') {
   img.src = url
 }
 
+/**
+ * Trigger a browser download for generated content
+ */
+function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Escape text for HTML reports (knowledge base text is editable in the app)
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * Quote a value for CSV output
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return ''
+  const str = String(value)
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+}
+
+/**
+ * Build CSV text from a header row and data rows
+ */
+function toCSV(header, rows) {
+  return [header, ...rows]
+    .map(row => row.map(csvCell).join(','))
+    .join('\n')
+}
+
+/**
+ * Export an import validation report as CSV
+ */
+export function exportValidationReport(report, sourceName = 'import') {
+  if (!report) return
+
+  const rows = report.issues.map(issue => [
+    issue.level,
+    issue.type,
+    issue.row ?? '',
+    issue.column ?? '',
+    issue.value,
+    issue.message
+  ])
+
+  const baseName = sourceName.replace(/\.csv$/i, '').replace(/\s+/g, '_')
+  downloadFile(
+    toCSV(['Level', 'Type', 'Row', 'Column', 'Value', 'Message'], rows),
+    `${baseName}_Import_Report.csv`,
+    'text/csv'
+  )
+}
+
+/**
+ * Export the cross-student re-verification list as CSV
+ */
+export function exportReverificationList(items, sourceName = 'dataset') {
+  if (!items || items.length === 0) return
+
+  const rows = items.map(item => [
+    item.studentId,
+    item.studentName,
+    item.date ? item.date.toLocaleDateString() : '',
+    item.row ?? '',
+    item.test,
+    item.column,
+    item.entered,
+    item.stored ?? ''
+  ])
+
+  const baseName = sourceName.replace(/\.csv$/i, '').replace(/\s+/g, '_')
+  downloadFile(
+    toCSV(['LT_Id', 'Student', 'Assessment Date', 'Row', 'Test', 'Audit Column', 'Entered', 'Stored'], rows),
+    `${baseName}_Reverification.csv`,
+    'text/csv'
+  )
+}
+
+/**
+ * Export knowledge base entries as JSON in the celf_interpretations.json format
+ */
+export function exportKnowledgeBase(entries, versionLabel = 'draft') {
+  if (!entries || entries.length === 0) return
+
+  downloadFile(
+    JSON.stringify(entries, null, 2) + '\n',
+    `celf_interpretations_${versionLabel}.json`,
+    'application/json'
+  )
+}
+
+/**
+ * Export the cohort outcomes summary (per-index bands and medians, counts per year) as CSV
+ */
+export function exportCohortSummary(summary, sourceName = 'dataset') {
+  if (!summary) return
+
+  const bandLabels = summary.indices[0]?.bands.map(({ band }) => band.label) || []
+  const indexRows = summary.indices.map(index => [
+    index.test,
+    index.testName,
+    index.n,
+    index.median,
+    index.mean,
+    ...index.bands.map(({ percent }) => percent)
+  ])
+  const yearRows = summary.years.map(year => [year.year, year.assessments, year.students])
+
+  const content = [
+    toCSV(['Index', 'Name', 'Students', 'Median', 'Mean', ...bandLabels.map(label => `% ${label}`)], indexRows),
+    '',
+    toCSV(['Year', 'Assessments', 'Students'], yearRows)
+  ].join('\n')
+
+  const baseName = sourceName.replace(/\.csv$/i, '').replace(/\s+/g, '_')
+  downloadFile(content, `${baseName}_Cohort_Outcomes.csv`, 'text/csv')
+}
+
+/**
+ * Export a two-assessment diff (old/new score, change, bands, reliable change) as CSV
+ */
+export function exportAssessmentDiff(student, from, to, rows) {
+  if (!student || !from || !to || !rows || rows.length === 0) return
+
+  const fromDate = from.date.toLocaleDateString()
+  const toDate = to.date.toLocaleDateString()
+  const csvRows = rows.map(row => [
+    row.test,
+    row.testName,
+    row.kind === 'subtest' ? 'Scaled' : 'Standard',
+    row.before ?? '',
+    row.after ?? '',
+    row.change ?? '',
+    row.bandBefore?.label || '',
+    row.bandAfter?.label || '',
+    row.rci ?? '',
+    row.label || ''
+  ])
+
+  downloadFile(
+    toCSV(
+      ['Test', 'Name', 'Score Type', fromDate, toDate, 'Change', `Band ${fromDate}`, `Band ${toDate}`, 'RCI', 'Reliable Change'],
+      csvRows
+    ),
+    `${student.name.replace(/\s+/g, '_')}_Diff_${from.date.toISOString().slice(0, 10)}_${to.date.toISOString().slice(0, 10)}.csv`,
+    'text/csv'
+  )
+}
+
 /**
  * Export student report as text file
  */
-export function exportStudentReport(student, assessments, insights) {
+export function exportStudentReport(student, assessments, insights, confidenceLevel = DEFAULT_CONFIDENCE_LEVEL, scheme = DEFAULT_SCHEME) {
   if (!student || !assessments || assessments.length === 0) return
 
   const latestAssessment = assessments.sort((a, b) => 
@@ -65,24 +234,55 @@ export function exportStudentReport(student, assessments, insights) {
     if (latestAssessment.age) {
       report += `Age at Testing: ${latestAssessment.age} months\n`
     }
+    if (latestAssessment.status) {
+      report += `Status: ${latestAssessment.status}\n`
+    }
+    if (latestAssessment.administeredBy?.raw) {
+      const { mode, examiner } = latestAssessment.administeredBy
+      report += `Administered: ${mode === 'remote' ? 'Remotely' : mode === 'in-person' ? 'In person' : `By ${examiner}`}\n`
+    }
+    if (latestAssessment.source) {
+      report += `Record Source: ${latestAssessment.source}\n`
+    }
     report += `\n`
 
-    report += `Test Scores:\n`
+    report += `Test Scores (classification: ${scheme.label}):\n`
     report += `------------\n`
     const tests = Object.entries(latestAssessment.tests || {})
+    const ageGaps = Object.fromEntries(getAgeGaps(latestAssessment).map(item => [item.test, item]))
     for (const [key, test] of tests) {
       if (test.standardScore !== null) {
         report += `${test.testName || key}:\n`
         report += `  Standard Score: ${test.standardScore}\n`
+        report += `  Classification: ${getBandLabel(test.standardScore, 'standard', scheme)}\n`
+        const interval = getConfidenceInterval(test.standardScore, key, confidenceLevel)
+        if (interval) {
+          report += `  ${formatConfidenceInterval(interval)} (SEM ${interval.sem})\n`
+        }
         if (test.percentile !== null) {
           report += `  Percentile: ${test.percentile}%\n`
         }
         if (test.scaledScore !== null) {
           report += `  Scaled Score: ${test.scaledScore}\n`
         }
+        if (ageGaps[key]) {
+          const { ageEquivalent, gap, qualifier } = ageGaps[key]
+          report += `  Age Equivalent: ${ageEquivalent.display}`
+          report += gap !== null ? ` (gap ${formatAgeGap(gap, qualifier)})\n` : `\n`
+        }
         report += `\n`
       }
     }
+
+    const laggingSkills = getLaggingSkills(latestAssessment)
+    if (laggingSkills.length > 0) {
+      report += `Skills Lagging Behind Age:\n`
+      report += `-------------------------\n`
+      for (const item of laggingSkills) {
+        report += `  • ${item.testName}: ${item.ageEquivalent.display} (${formatAgeGap(item.gap, item.qualifier)})\n`
+      }
+      report += `\n`
+    }
   }
 
   if (insights && insights.length > 0) {
@@ -109,10 +309,44 @@ export function exportStudentReport(student, assessments, insights) {
   URL.revokeObjectURL(url)
 }
 
+/**
+ * Export a clinician caseload summary as text file
+ */
+export function exportCaseloadSummary(contact, summary, scheme = DEFAULT_SCHEME) {
+  if (!contact || !summary) return
+
+  let report = `CELF-P3 Caseload Summary\n`
+  report += `========================\n\n`
+  report += `Caseload: ${contact}\n`
+  report += `Report Date: ${new Date().toLocaleDateString()}\n`
+  report += `Students: ${summary.studentCount}\n`
+  report += `Assessments: ${summary.assessmentCount}\n`
+  report += `Classification: ${scheme.label}\n\n`
+
+  report += `Latest Core Language Score:\n`
+  report += `---------------------------\n`
+  for (const [band, count] of Object.entries(summary.clsDistribution)) {
+    report += `  ${band}: ${count}\n`
+  }
+  report += `\n`
+
+  report += `Students with Below-Average Indices:\n`
+  report += `------------------------------------\n`
+  if (summary.belowAverageStudents.length === 0) {
+    report += `  None\n`
+  }
+  for (const student of summary.belowAverageStudents) {
+    const indices = student.indices.map(index => `${index.test} ${index.score}`).join(', ')
+    report += `  • ${student.name} (ID: ${student.id}): ${indices}\n`
+  }
+
+  downloadFile(report, `Caseload_${contact}_CELF-P3_Summary.txt`, 'text/plain')
+}
+
 /**
  * Print student report
  */
-export function printStudentReport(student, assessments) {
+export function printStudentReport(student, assessments, confidenceLevel = DEFAULT_CONFIDENCE_LEVEL, scheme = DEFAULT_SCHEME) {
   const printWindow = window.open('', '_blank')
   if (!printWindow) {
     alert('Please allow popups to print the report')
@@ -122,6 +356,7 @@ export function printStudentReport(student, assessments) {
   const latestAssessment = assessments.sort((a, b) => 
     new Date(b.date) - new Date(a.date)
   )[0]
+  const progress = getProgress(assessments)
 
   let html = `
     <!DOCTYPE html>
@@ -278,11 +513,14 @@ export function printStudentReport(student, assessments) {
       
       ${latestAssessment ? `
         <h2>Test Scores</h2>
+        <p class="subtitle">Classification: ${scheme.label}</p>
         <table>
           <thead>
             <tr>
               <th>Test</th>
               <th>Standard Score</th>
+              <th>Classification</th>
+              <th>${confidenceLevel}% Confidence Interval</th>
               <th>Percentile</th>
               <th>Scaled Score</th>
             </tr>
@@ -292,16 +530,16 @@ export function printStudentReport(student, assessments) {
               .filter(([_, test]) => test.standardScore !== null)
               .map(([key, test]) => {
                 const score = test.standardScore;
-                const mean = 100;
-                const sd = 15;
-                let scoreClass = 'score-average';
-                if (score < mean - sd) scoreClass = 'score-below';
-                else if (score > mean + sd) scoreClass = 'score-above';
+                const band = classifyScore(score, 'standard', scheme);
+                const scoreClass = band ? `score-${band.tone}` : '';
+                const interval = getConfidenceInterval(score, key, confidenceLevel);
                 
                 return `
                 <tr>
                   <td>${test.testName || key}</td>
                   <td class="${scoreClass}">${test.standardScore}</td>
+                  <td>${band ? band.label : 'N/A'}</td>
+                  <td>${interval ? `${interval.lower}–${interval.upper}` : 'N/A'}</td>
                   <td>${test.percentile !== null ? test.percentile + '%' : 'N/A'}</td>
                   <td>${test.scaledScore !== null ? test.scaledScore : 'N/A'}</td>
                 </tr>
@@ -310,6 +548,34 @@ export function printStudentReport(student, assessments) {
           </tbody>
         </table>
       ` : ''}
+
+      ${progress.length > 0 ? `
+        <h2>Progress (Reliable Change Index)</h2>
+        <table>
+          <thead>
+            <tr>
+              <th>Test</th>
+              <th>First</th>
+              <th>Latest</th>
+              <th>Change</th>
+              <th>RCI</th>
+              <th>Result</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${progress.map(({ overall }) => `
+              <tr>
+                <td>${overall.testName}</td>
+                <td>${overall.before} (${overall.fromDate.toLocaleDateString()})</td>
+                <td>${overall.after} (${overall.toDate.toLocaleDateString()})</td>
+                <td>${overall.change > 0 ? '+' : ''}${overall.change}</td>
+                <td>${overall.rci.toFixed(2)}</td>
+                <td class="${overall.status === 'improvement' ? 'score-above' : overall.status === 'decline' ? 'score-below' : ''}">${overall.label}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : ''}
     </body>
     </html>
   `
@@ -323,3 +589,170 @@ export function printStudentReport(student, assessments) {
     printWindow.print()
   }, 250)
 }
+
+// Language string keys for each printable audience report
+const AUDIENCE_REPORT_STRINGS = {
+  family: { title: 'reportTitle', intro: 'reportIntro', person: 'child', recommendations: 'recommendations' },
+  educator: { title: 'educatorReportTitle', intro: 'educatorReportIntro', person: 'student', recommendations: 'accommodations' }
+}
+
+/**
+ * Print the family or teacher report: the assistant's insights for that
+ * audience in the language they were retrieved in, with headings in the same
+ * language. Teacher reports list recommendations as classroom accommodations.
+ * @param {Object} student - Student object
+ * @param {Array} assessments - The student's assessments
+ * @param {Object} report - Family- or educator-audience report from assembleCompleteReport
+ */
+export function printAudienceReport(student, assessments, report) {
+  const strings = AUDIENCE_REPORT_STRINGS[report?.audience]
+  if (!student || !strings) return
+
+  const printWindow = window.open('', '_blank')
+  if (!printWindow) {
+    alert('Please allow popups to print the report')
+    return
+  }
+
+  const language = report.language
+  const t = key => escapeHtml(translate(key, language))
+  const latestAssessment = [...(assessments || [])].sort((a, b) =>
+    new Date(b.date) - new Date(a.date)
+  )[0]
+
+  const renderInsight = insight => `
+    <div class="insight">
+      <h3>${escapeHtml(insight.title)}</h3>
+      <p><strong>${escapeHtml(insight.summary)}</strong></p>
+      ${insight.details && insight.details !== insight.summary ? `<p>${escapeHtml(insight.details)}</p>` : ''}
+      ${insight.recommendations.length > 0 ? `
+        <p class="label">${t(strings.recommendations)}</p>
+        <ul>${insight.recommendations.map(rec => `<li>${escapeHtml(rec)}</li>`).join('')}</ul>
+      ` : ''}
+      <p class="source">${t('source')}: ${escapeHtml(insight.source)}</p>
+    </div>
+  `
+
+  const html = `
+    <!DOCTYPE html>
+    <html lang="${escapeHtml(language)}">
+    <head>
+      <meta charset="utf-8">
+      <title>${t(strings.title)} - ${escapeHtml(student.name)}</title>
+      <style>
+        @import url('https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&family=Space+Grotesk:wght@500;600;700&display=swap');
+
+        body {
+          font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+          padding: 40px;
+          max-width: 800px;
+          margin: 0 auto;
+          background: #ffffff;
+          color: #1f2937;
+          line-height: 1.6;
+        }
+
+        h1 {
+          font-family: 'Space Grotesk', sans-serif;
+          color: #44BBA4;
+          font-size: 2rem;
+          font-weight: 700;
+          margin: 0;
+          letter-spacing: -0.02em;
+        }
+
+        h2 {
+          font-family: 'Space Grotesk', sans-serif;
+          margin: 30px 0 10px;
+          font-size: 1.25rem;
+          font-weight: 600;
+          padding-bottom: 6px;
+          border-bottom: 2px solid #7AC9B8;
+        }
+
+        h3 {
+          margin: 0 0 6px;
+          font-size: 1.05rem;
+          color: #1f2937;
+        }
+
+        .subtitle {
+          color: #6b7280;
+          font-size: 0.875rem;
+          margin-top: 0.25rem;
+        }
+
+        .info-section {
+          background: #E8F8F6;
+          padding: 1rem 1.5rem;
+          border: 2px solid #7AC9B8;
+          margin: 20px 0;
+        }
+
+        .info-section p {
+          margin: 0.35rem 0;
+        }
+
+        .info-section strong {
+          color: #44BBA4;
+        }
+
+        .insight {
+          padding: 12px 0;
+          border-bottom: 1px solid #D1F0EB;
+          page-break-inside: avoid;
+        }
+
+        .label {
+          font-weight: 600;
+          margin-bottom: 0;
+        }
+
+        .source {
+          color: #6b7280;
+          font-size: 0.8125rem;
+        }
+
+        @media print {
+          body {
+            padding: 20px;
+          }
+        }
+      </style>
+    </head>
+    <body>
+      <h1>${t(strings.title)}</h1>
+      <p class="subtitle">Listen & Talk · CELF-P3</p>
+
+      <div class="info-section">
+        <p><strong>${t(strings.person)}:</strong> ${escapeHtml(student.name)}</p>
+        ${latestAssessment ? `
+          <p><strong>${t('assessmentDate')}:</strong> ${latestAssessment.date.toLocaleDateString(language)}</p>
+          ${latestAssessment.age ? `<p><strong>${t('ageAtTesting')}:</strong> ${latestAssessment.age} ${t('months')}</p>` : ''}
+        ` : ''}
+      </div>
+
+      <p>${t(strings.intro)}</p>
+
+      ${report.testInsights.map(testInsight => `
+        <h2>${escapeHtml(testInsight.testLabel || testInsight.test)}</h2>
+        ${testInsight.insights.map(renderInsight).join('')}
+      `).join('')}
+
+      ${report.comparisons.map(comparison => `
+        <h2>${t('comparisonHeading')}</h2>
+        ${comparison.insights.map(renderInsight).join('')}
+      `).join('')}
+    </body>
+    </html>
+  `
+
+  printWindow.document.write(html)
+  printWindow.document.close()
+  printWindow.focus()
+
+  // Wait for content to load before printing
+  setTimeout(() => {
+    printWindow.print()
+  }, 250)
+}
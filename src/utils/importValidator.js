@@ -0,0 +1,267 @@
+/**
+ * Import validation for CELF-P3 CSV exports
+ *
+ * Mirrors the rules in dataParser.js so that every row processCSVData skips
+ * and every cell parseNumber turns into null is reported by its CSV `Row`
+ * number and column, instead of disappearing silently.
+ */
+
+import {
+  TEST_NAMES,
+  SUBTEST_PREFIXES,
+  INDEX_PREFIXES,
+  getEnteredScoreColumn,
+  parseDate,
+  parseNumber,
+  normalizeNumericCell
+} from './dataParser'
+
+// Record-level columns at the start of every export
+const RECORD_COLUMNS = [
+  'LT_Id',
+  'Child_Initials',
+  'Contact',
+  'Status',
+  'Age',
+  'AssessmentDate',
+  'Source',
+  'DateRecorded',
+  'AdministeredBy',
+  'ScannedRecordForm'
+]
+
+// Columns without which no usable record can be built
+export const REQUIRED_COLUMNS = ['LT_Id', 'Child_Initials', 'AssessmentDate']
+
+const SUBTEST_SUFFIXES = ['RawScore', 'Scores', 'Comments', 'PctRank', 'AgeEquiv', 'GSV', 'StandardScore', 'ScaledScore']
+const INDEX_SUFFIXES = ['StandardScore', 'PctRank']
+
+/**
+ * Full CELF-P3 column set, in export order
+ */
+export const EXPECTED_COLUMNS = [
+  ...RECORD_COLUMNS,
+  ...SUBTEST_PREFIXES.flatMap(prefix => SUBTEST_SUFFIXES.map(suffix => `${prefix}_${suffix}`)),
+  ...INDEX_PREFIXES.flatMap(prefix => INDEX_SUFFIXES.map(suffix => `${prefix}_${suffix}`)),
+  'Row',
+  ...Object.keys(TEST_NAMES).map(getEnteredScoreColumn)
+]
+
+/**
+ * Columns read through parseNumber by processCSVData
+ */
+export const NUMERIC_COLUMNS = [
+  'Age',
+  ...Object.keys(TEST_NAMES).flatMap(prefix => [
+    `${prefix}_StandardScore`,
+    `${prefix}_ScaledScore`,
+    `${prefix}_PctRank`,
+    `${prefix}_RawScore`,
+    getEnteredScoreColumn(prefix)
+  ])
+]
+
+/**
+ * Check whether an LT_Id value would be skipped by processCSVData
+ */
+function isMissingId(value) {
+  return !value || value.trim() === '' || value === '#N/A'
+}
+
+/**
+ * Check whether a row has no values at all (e.g. a spacer row of commas)
+ */
+function isBlankRow(row) {
+  return Object.values(row).every(value => value === undefined || value === null || String(value).trim() === '')
+}
+
+/**
+ * Explain why parseNumber would return null for a non-blank value
+ * @param {string} value - Raw cell value
+ * @returns {string|null} - Reason, or null if the value parses as a number
+ */
+function getCoercionReason(value) {
+  if (parseNumber(value) !== null) return null
+
+  const text = normalizeNumericCell(value)
+  if (text === '#N/A') return 'Spreadsheet #N/A value treated as missing'
+  if (text === '-1') return 'Sentinel value -1 treated as missing'
+  return 'Non-numeric value treated as missing'
+}
+
+/**
+ * Validate the CSV header against the expected CELF-P3 column set
+ * @param {Array<string>} fields - Header fields reported by Papa.parse
+ * @returns {Object} - { missing, missingRequired, unexpected }
+ */
+export function validateHeader(fields = []) {
+  const present = new Set(fields.filter(Boolean))
+  const expected = new Set(EXPECTED_COLUMNS)
+
+  return {
+    missing: EXPECTED_COLUMNS.filter(column => !present.has(column)),
+    missingRequired: REQUIRED_COLUMNS.filter(column => !present.has(column)),
+    unexpected: [...present].filter(column => !expected.has(column))
+  }
+}
+
+/**
+ * Build a validation report for a parsed CSV
+ * @param {Array<string>} fields - Header fields
+ * @param {Array<Object>} rows - Row objects from Papa.parse (header: true)
+ * @param {Array<number>} lineNumbers - File line each row starts on (from Papa's row cursor)
+ * @returns {Object} - Validation report with header check and row/cell issues
+ */
+export function validateAssessmentRows(fields, rows, lineNumbers = []) {
+  const header = validateHeader(fields)
+  const issues = []
+  let importedRows = 0
+
+  for (const column of header.missingRequired) {
+    issues.push({
+      level: 'error',
+      type: 'missing-column',
+      row: null,
+      column,
+      value: '',
+      message: 'Required column is missing from the header'
+    })
+  }
+
+  for (const column of header.missing.filter(c => !REQUIRED_COLUMNS.includes(c))) {
+    issues.push({
+      level: 'warning',
+      type: 'missing-column',
+      row: null,
+      column,
+      value: '',
+      message: 'Expected column is missing from the header'
+    })
+  }
+
+  for (const column of header.unexpected) {
+    issues.push({
+      level: 'warning',
+      type: 'unexpected-column',
+      row: null,
+      column,
+      value: '',
+      message: 'Column is not part of the CELF-P3 export and is ignored'
+    })
+  }
+
+  rows.forEach((row, index) => {
+    // Prefer the spreadsheet's own Row number; fall back to the file line (header is line 1)
+    const rowNumber = parseNumber(row.Row) ?? lineNumbers[index] ?? null
+
+    if (isBlankRow(row)) {
+      issues.push({
+        level: 'warning',
+        type: 'skipped-row',
+        row: rowNumber,
+        column: null,
+        value: '',
+        message: 'Blank row skipped'
+      })
+      return
+    }
+
+    if (isMissingId(row.LT_Id)) {
+      issues.push({
+        level: 'error',
+        type: 'skipped-row',
+        row: rowNumber,
+        column: 'LT_Id',
+        value: row.LT_Id || '',
+        message: 'Row skipped: missing or #N/A LT_Id'
+      })
+      return
+    }
+
+    const hasScore = Object.keys(TEST_NAMES).some(prefix =>
+      parseNumber(row[`${prefix}_StandardScore`]) !== null ||
+      parseNumber(row[`${prefix}_ScaledScore`]) !== null
+    )
+
+    if (!hasScore) {
+      issues.push({
+        level: 'error',
+        type: 'skipped-row',
+        row: rowNumber,
+        column: null,
+        value: row.LT_Id,
+        message: 'Row skipped: no standard or scaled scores'
+      })
+      return
+    }
+
+    importedRows++
+
+    if (row.AssessmentDate && parseDate(row.AssessmentDate) === null) {
+      issues.push({
+        level: 'warning',
+        type: 'invalid-date',
+        row: rowNumber,
+        column: 'AssessmentDate',
+        value: row.AssessmentDate,
+        message: 'Unrecognized date format; import date used instead'
+      })
+    } else if (!row.AssessmentDate || row.AssessmentDate.trim() === '') {
+      issues.push({
+        level: 'warning',
+        type: 'invalid-date',
+        row: rowNumber,
+        column: 'AssessmentDate',
+        value: '',
+        message: 'Missing assessment date; import date used instead'
+      })
+    }
+
+    for (const column of NUMERIC_COLUMNS) {
+      const value = row[column]
+      if (normalizeNumericCell(value) === null) continue
+
+      const reason = getCoercionReason(value)
+      if (reason) {
+        issues.push({
+          level: 'warning',
+          type: 'coerced-cell',
+          row: rowNumber,
+          column,
+          value,
+          message: reason
+        })
+      }
+    }
+  })
+
+  return {
+    generatedAt: new Date(),
+    totalRows: rows.length,
+    importedRows,
+    skippedRows: issues.filter(issue => issue.type === 'skipped-row').length,
+    coercedCells: issues.filter(issue => issue.type === 'coerced-cell').length,
+    errorCount: issues.filter(issue => issue.level === 'error').length,
+    warningCount: issues.filter(issue => issue.level === 'warning').length,
+    header,
+    issues
+  }
+}
+
+/**
+ * Add record-level data-quality findings (e.g. composite mismatches) to a validation report
+ * @param {Object} report - Result of validateAssessmentRows
+ * @param {Array} findings - Issues in the same { level, type, row, column, value, message } shape
+ * @returns {Object} - New report with the findings appended and counts updated
+ */
+export function appendDataQualityFindings(report, findings = []) {
+  const issues = [...report.issues, ...findings]
+  return {
+    ...report,
+    compositeMismatches: issues.filter(issue => issue.type === 'composite-mismatch').length,
+    errorCount: issues.filter(issue => issue.level === 'error').length,
+    warningCount: issues.filter(issue => issue.level === 'warning').length,
+    infoCount: issues.filter(issue => issue.level === 'info').length,
+    issues
+  }
+}
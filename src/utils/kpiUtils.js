@@ -0,0 +1,74 @@
+/**
+ * KPI utilities
+ *
+ * Builds the index KPI cards for one student from the configurable KPI set
+ * (src/config/kpis.json): latest score, point change from the previous
+ * assessment, its reliable-change classification and the full score history
+ * for a sparkline. The clinician's chosen set is remembered in localStorage.
+ */
+
+import kpiConfig from '../config/kpis.json'
+import { getScoreHistory } from './trendUtils'
+import { compareTest } from './progressEngine'
+
+// LocalStorage key for the clinician's chosen KPI set
+const KPI_KEY = 'lt_kpi_tests'
+
+export const AVAILABLE_KPIS = kpiConfig.available
+
+export const DEFAULT_KPI_TESTS = kpiConfig.defaultKpis
+
+/**
+ * Load the chosen KPI tests from localStorage (defaults to the configured set)
+ */
+export function loadKpiTests() {
+  if (typeof window === 'undefined') return DEFAULT_KPI_TESTS
+  try {
+    const raw = window.localStorage.getItem(KPI_KEY)
+    if (!raw) return DEFAULT_KPI_TESTS
+    const parsed = JSON.parse(raw)
+    return Array.isArray(parsed) ? parsed : DEFAULT_KPI_TESTS
+  } catch {
+    return DEFAULT_KPI_TESTS
+  }
+}
+
+/**
+ * Save the chosen KPI tests to localStorage
+ */
+export function saveKpiTests(tests) {
+  if (typeof window === 'undefined') return
+  try {
+    window.localStorage.setItem(KPI_KEY, JSON.stringify(tests))
+  } catch {
+    // fail silently – not critical
+  }
+}
+
+/**
+ * Build index KPIs for one student
+ * @param {Array} assessments - The student's assessments, newest first
+ * @param {Array} kpiTests - Index prefixes to show
+ * @returns {Array} - [{ test, title, color, value, change, reliableChange, history }] in configured
+ *   order, skipping indices with no score on the latest assessment
+ */
+export function buildIndexKpis(assessments, kpiTests = DEFAULT_KPI_TESTS) {
+  const [latest, previous = null] = assessments || []
+  if (!latest) return []
+
+  return AVAILABLE_KPIS
+    .filter(kpi => kpiTests.includes(kpi.test))
+    .map(kpi => {
+      const value = latest.tests?.[kpi.test]?.standardScore ?? null
+      const before = previous?.tests?.[kpi.test]?.standardScore ?? null
+
+      return {
+        ...kpi,
+        value,
+        change: value !== null && before !== null ? value - before : null,
+        reliableChange: compareTest(previous, latest, kpi.test),
+        history: getScoreHistory(assessments, kpi.test).map(point => point.value)
+      }
+    })
+    .filter(kpi => kpi.value !== null)
+}
@@ -0,0 +1,103 @@
+/**
+ * Language utilities
+ *
+ * Languages for family-facing interpretations (src/config/languages.json).
+ * Knowledge base entries carry optional per-language variants under
+ * `translations`; any field without a translation falls back to English.
+ * The chosen report language is remembered in localStorage.
+ */
+
+import languageConfig from '../config/languages.json'
+import { TEST_NAMES } from './dataParser'
+
+// LocalStorage key for the chosen family report language
+const LANGUAGE_KEY = 'lt_report_language'
+
+export const LANGUAGES = languageConfig.languages.map(({ code, label }) => ({ code, label }))
+
+export const DEFAULT_LANGUAGE = languageConfig.defaultLanguage
+
+// Entry fields that can be translated
+export const LOCALIZED_FIELDS = ['title', 'summary', 'details', 'source', 'recommendations']
+
+/**
+ * Config for a language (falls back to the default language)
+ */
+function getLanguageConfig(code) {
+  return languageConfig.languages.find(language => language.code === code) ||
+    languageConfig.languages.find(language => language.code === DEFAULT_LANGUAGE)
+}
+
+/**
+ * Load the chosen language from localStorage
+ */
+export function loadLanguage() {
+  if (typeof window === 'undefined') return DEFAULT_LANGUAGE
+  try {
+    const code = window.localStorage.getItem(LANGUAGE_KEY)
+    return LANGUAGES.some(language => language.code === code) ? code : DEFAULT_LANGUAGE
+  } catch {
+    return DEFAULT_LANGUAGE
+  }
+}
+
+/**
+ * Save the chosen language to localStorage
+ */
+export function saveLanguage(code) {
+  if (typeof window === 'undefined') return
+  try {
+    window.localStorage.setItem(LANGUAGE_KEY, code)
+  } catch {
+    // fail silently – not critical
+  }
+}
+
+/**
+ * UI string in a language, falling back to English
+ * @param {string} key - Key from the language's `strings`
+ * @param {string} language - Language code
+ * @param {Object} values - Values for `{name}` placeholders in the string
+ */
+export function translate(key, language = DEFAULT_LANGUAGE, values = {}) {
+  const text = getLanguageConfig(language).strings[key] ??
+    getLanguageConfig(DEFAULT_LANGUAGE).strings[key] ??
+    key
+  return Object.entries(values).reduce((result, [name, value]) => result.replaceAll(`{${name}}`, () => String(value)), text)
+}
+
+/**
+ * Test name in a language, falling back to the English name
+ */
+export function getTestLabel(testKey, language = DEFAULT_LANGUAGE) {
+  return getLanguageConfig(language).testNames[testKey] || TEST_NAMES[testKey] || testKey
+}
+
+/**
+ * Classification band label in a language, falling back to the scheme's label
+ * @param {Object} band - Band from classifyScore
+ */
+export function getLocalizedBandLabel(band, language = DEFAULT_LANGUAGE) {
+  return getLanguageConfig(language).bandLabels[band.id] || band.label
+}
+
+/**
+ * Entry with its text fields in a language, field by field falling back to English
+ * @param {Object} entry - Knowledge base entry
+ * @param {string} language - Language code
+ * @returns {Object} - Entry copy with localized fields and `language` set to the requested code
+ */
+export function localizeEntry(entry, language = DEFAULT_LANGUAGE) {
+  const translation = language === DEFAULT_LANGUAGE ? null : entry.translations?.[language]
+  const localized = { ...entry, language }
+
+  if (translation) {
+    for (const field of LOCALIZED_FIELDS) {
+      const value = translation[field]
+      const hasValue = Array.isArray(value) ? value.length > 0 : Boolean(value)
+      if (hasValue) localized[field] = value
+    }
+  }
+
+  return localized
+}
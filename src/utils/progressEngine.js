@@ -0,0 +1,171 @@
+/**
+ * Progress engine
+ *
+ * Decides whether a change between two assessments exceeds measurement error,
+ * using the Jacobson–Truax reliable change index:
+ *   RCI = (later − earlier) / (√2 × SEM)
+ * SEMs come from the configurable reliability table (see reliability.js).
+ */
+
+import { TEST_NAMES } from './dataParser'
+import { getSEM, RELIABLE_CHANGE_CRITICAL_VALUE } from './reliability'
+
+export const CHANGE_STATUS = {
+  IMPROVEMENT: 'improvement',
+  NO_CHANGE: 'no-change',
+  DECLINE: 'decline'
+}
+
+export const CHANGE_LABELS = {
+  [CHANGE_STATUS.IMPROVEMENT]: 'Significant improvement',
+  [CHANGE_STATUS.NO_CHANGE]: 'No reliable change',
+  [CHANGE_STATUS.DECLINE]: 'Significant decline'
+}
+
+/**
+ * Calculate the reliable change index between two scores on one test
+ * @param {number} earlier - Earlier score
+ * @param {number} later - Later score
+ * @param {string} testKey - Test prefix (e.g. 'CLS', 'SC')
+ * @param {string} type - 'standard' or 'scaled' (default: 'standard')
+ * @returns {number|null} - RCI, or null if either score is missing
+ */
+export function calculateRCI(earlier, later, testKey, type = 'standard') {
+  if (earlier === null || earlier === undefined || isNaN(earlier)) return null
+  if (later === null || later === undefined || isNaN(later)) return null
+
+  const standardErrorOfDifference = Math.sqrt(2) * getSEM(testKey, type)
+  return (later - earlier) / standardErrorOfDifference
+}
+
+/**
+ * Classify an RCI as significant improvement, no reliable change or significant decline
+ * @param {number} rci - Reliable change index
+ * @returns {string|null} - One of CHANGE_STATUS
+ */
+export function classifyChange(rci) {
+  if (rci === null || rci === undefined || isNaN(rci)) return null
+  if (rci >= RELIABLE_CHANGE_CRITICAL_VALUE) return CHANGE_STATUS.IMPROVEMENT
+  if (rci <= -RELIABLE_CHANGE_CRITICAL_VALUE) return CHANGE_STATUS.DECLINE
+  return CHANGE_STATUS.NO_CHANGE
+}
+
+/**
+ * Compare one test's standard score across two assessments
+ * @param {Object} earlier - Earlier assessment record
+ * @param {Object} later - Later assessment record
+ * @param {string} testKey - Test prefix
+ * @returns {Object|null} - { test, testName, before, after, change, rci, status, label, fromDate, toDate }
+ */
+export function compareTest(earlier, later, testKey) {
+  const before = earlier?.tests?.[testKey]?.standardScore
+  const after = later?.tests?.[testKey]?.standardScore
+  const rci = calculateRCI(before, after, testKey)
+  if (rci === null) return null
+
+  const status = classifyChange(rci)
+  return {
+    test: testKey,
+    testName: later.tests[testKey].testName || TEST_NAMES[testKey] || testKey,
+    before,
+    after,
+    change: after - before,
+    rci: Math.round(rci * 100) / 100,
+    status,
+    label: CHANGE_LABELS[status],
+    fromDate: earlier.date,
+    toDate: later.date
+  }
+}
+
+/**
+ * Compare every test scored on both of two assessments (in either order)
+ * @param {Object} first - Assessment record
+ * @param {Object} second - Assessment record
+ * @returns {Array} - Test comparisons, earlier assessment as the baseline
+ */
+export function compareAssessments(first, second) {
+  if (!first || !second) return []
+  const [earlier, later] = new Date(first.date) <= new Date(second.date)
+    ? [first, second]
+    : [second, first]
+
+  return Object.keys(later.tests || {})
+    .map(testKey => compareTest(earlier, later, testKey))
+    .filter(Boolean)
+}
+
+/**
+ * Reliable change for every test across a student's full history:
+ * first vs latest, plus each consecutive pair so intermediate swings are not missed
+ * @param {Array} assessments - A student's assessment records
+ * @returns {Array} - [{ test, testName, overall, steps }]
+ */
+export function getProgress(assessments) {
+  if (!assessments || assessments.length < 2) return []
+
+  const sorted = [...assessments].sort((a, b) => new Date(a.date) - new Date(b.date))
+  const testKeys = [...new Set(sorted.flatMap(assessment => Object.keys(assessment.tests || {})))]
+
+  return testKeys
+    .map(testKey => {
+      const scored = sorted.filter(assessment => {
+        const score = assessment.tests?.[testKey]?.standardScore
+        return score !== null && score !== undefined
+      })
+      if (scored.length < 2) return null
+
+      const steps = scored.slice(1).map((assessment, index) => compareTest(scored[index], assessment, testKey))
+      const overall = compareTest(scored[0], scored[scored.length - 1], testKey)
+
+      return { test: testKey, testName: overall.testName, overall, steps }
+    })
+    .filter(Boolean)
+}
+
+/**
+ * Format one comparison, e.g. "Core Language Score: 78 → 92 (+14, RCI 2.49) – Significant improvement"
+ */
+export function formatComparison(comparison) {
+  const sign = comparison.change > 0 ? '+' : ''
+  return `${comparison.testName}: ${comparison.before} → ${comparison.after} ` +
+    `(${sign}${comparison.change}, RCI ${comparison.rci.toFixed(2)}) – ${comparison.label}`
+}
+
+/**
+ * Build the "Progress Over Time" insight from a student's history
+ * @param {Array} assessments - A student's assessment records
+ * @returns {Object|null} - Insight { type, title, items }, or null with fewer than two assessments
+ */
+export function buildProgressInsight(assessments) {
+  const progress = getProgress(assessments)
+  if (progress.length === 0) return null
+
+  // Reliable changes first, declines before improvements
+  const statusOrder = [CHANGE_STATUS.DECLINE, CHANGE_STATUS.IMPROVEMENT, CHANGE_STATUS.NO_CHANGE]
+  const ordered = [...progress].sort((a, b) =>
+    statusOrder.indexOf(a.overall.status) - statusOrder.indexOf(b.overall.status)
+  )
+
+  const items = ordered.map(({ overall, steps }) => {
+    let item = formatComparison(overall)
+
+    // Flag reliable swings between consecutive assessments that differ from the overall verdict
+    const interimChanges = steps.filter(step =>
+      step.status !== CHANGE_STATUS.NO_CHANGE && step.status !== overall.status
+    )
+    if (steps.length > 1 && interimChanges.length > 0) {
+      const notes = interimChanges.map(step =>
+        `${step.label.toLowerCase()} ${step.fromDate.toLocaleDateString()} → ${step.toDate.toLocaleDateString()}`
+      )
+      item += ` (includes ${notes.join('; ')})`
+    }
+    return item
+  })
+
+  return {
+    type: 'progress',
+    title: 'Progress Over Time (Reliable Change)',
+    items
+  }
+}
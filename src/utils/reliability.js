@@ -0,0 +1,83 @@
+/**
+ * Measurement-error utilities
+ *
+ * Reads the configurable per-test reliability table (src/config/reliability.json)
+ * and derives standard errors of measurement and confidence intervals.
+ */
+
+import reliabilityConfig from '../config/reliability.json'
+import { NORMATIVE_PARAMS } from './scoreCalculator'
+
+// Selectable confidence levels, e.g. [90, 95]
+export const CONFIDENCE_LEVELS = Object.keys(reliabilityConfig.confidenceLevels)
+  .map(Number)
+  .sort((a, b) => a - b)
+
+export const DEFAULT_CONFIDENCE_LEVEL = reliabilityConfig.defaultConfidenceLevel
+
+// |RCI| at or above this value counts as reliable change
+export const RELIABLE_CHANGE_CRITICAL_VALUE = reliabilityConfig.reliableChangeCriticalValue ?? 1.96
+
+/**
+ * Get the reliability coefficient for a test
+ * @param {string} testKey - Test prefix (e.g. 'CLS', 'SC')
+ * @returns {number} - Reliability (0-1), falling back to the table default
+ */
+export function getReliability(testKey) {
+  return reliabilityConfig.tests[testKey]?.reliability ?? reliabilityConfig.defaultReliability
+}
+
+/**
+ * Get the standard error of measurement for a test: SD × √(1 − r)
+ * @param {string} testKey - Test prefix
+ * @param {string} type - 'standard' or 'scaled' (default: 'standard')
+ * @returns {number} - SEM in the units of that score type
+ */
+export function getSEM(testKey, type = 'standard') {
+  const params = NORMATIVE_PARAMS[type] || NORMATIVE_PARAMS.standard
+  const configuredSem = reliabilityConfig.tests[testKey]?.sem
+
+  if (configuredSem !== undefined) {
+    // Configured SEMs are in standard-score units
+    return configuredSem * (params.sd / NORMATIVE_PARAMS.standard.sd)
+  }
+
+  return params.sd * Math.sqrt(1 - getReliability(testKey))
+}
+
+/**
+ * Get the z multiplier for a confidence level
+ */
+export function getConfidenceZ(level = DEFAULT_CONFIDENCE_LEVEL) {
+  return reliabilityConfig.confidenceLevels[level] ?? reliabilityConfig.confidenceLevels[DEFAULT_CONFIDENCE_LEVEL]
+}
+
+/**
+ * Confidence interval around an obtained score (score ± z × SEM)
+ * @param {number} score - Obtained score
+ * @param {string} testKey - Test prefix
+ * @param {number} level - Confidence level (e.g. 90, 95)
+ * @param {string} type - 'standard' or 'scaled' (default: 'standard')
+ * @returns {Object|null} - { lower, upper, level, sem }, or null if score is invalid
+ */
+export function getConfidenceInterval(score, testKey, level = DEFAULT_CONFIDENCE_LEVEL, type = 'standard') {
+  if (score === null || score === undefined || isNaN(score)) return null
+
+  const sem = getSEM(testKey, type)
+  const margin = getConfidenceZ(level) * sem
+
+  return {
+    lower: Math.round(score - margin),
+    upper: Math.round(score + margin),
+    level,
+    sem: Math.round(sem * 100) / 100
+  }
+}
+
+/**
+ * Format a confidence interval, e.g. "90% CI 88–104"
+ */
+export function formatConfidenceInterval(interval) {
+  if (!interval) return 'N/A'
+  return `${interval.level}% CI ${interval.lower}–${interval.upper}`
+}
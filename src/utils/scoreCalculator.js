@@ -1,8 +1,8 @@
 /**
  * Score calculation utilities for CELF-P3 assessments
  * 
- * Computes z-scores, normative bands, and other derived metrics
- * from raw assessment scores.
+ * Computes z-scores, percentiles, and other derived metrics
+ * from raw assessment scores. Descriptive bands live in classification.js.
  * 
  * Uses standard CELF-P3 normative parameters
  */
@@ -30,48 +30,6 @@ export function calculateZScore(score, type = 'standard') {
   return (score - params.mean) / params.sd
 }
 
-/**
- * Determine normative band from z-score
- * @param {number} zScore - Z-score
- * @returns {string} - Normative band label
- */
-export function getNormativeBand(zScore) {
-  if (zScore === null || zScore === undefined || isNaN(zScore)) {
-    return 'No Data'
-  }
-  
-  if (zScore <= -2) {
-    return 'Significantly Below Average'
-  } else if (zScore <= -1) {
-    return 'Below Average'
-  } else if (zScore <= 1) {
-    return 'Average'
-  } else if (zScore <= 2) {
-    return 'Above Average'
-  } else {
-    return 'Significantly Above Average'
-  }
-}
-
-/**
- * Get simplified normative band (for matching with knowledge base)
- * @param {number} zScore - Z-score
- * @returns {string} - Simplified band: 'below', 'average', or 'above'
- */
-export function getSimplifiedBand(zScore) {
-  if (zScore === null || zScore === undefined || isNaN(zScore)) {
-    return null
-  }
-  
-  if (zScore < -1) {
-    return 'below'
-  } else if (zScore <= 1) {
-    return 'average'
-  } else {
-    return 'above'
-  }
-}
-
 /**
  * Calculate percentile from z-score
  * @param {number} zScore - Z-score
@@ -0,0 +1,56 @@
+/**
+ * Roster status filter
+ *
+ * Which enrollment statuses are hidden from the roster. The choice is
+ * remembered in localStorage so the switcher and the initial student pick
+ * after an import agree.
+ */
+
+import { DEFAULT_HIDDEN_STATUSES } from './dataParser'
+
+// LocalStorage key for the roster status filter
+const HIDDEN_STATUSES_KEY = 'lt_hidden_statuses'
+
+// Bucket for students whose Status column is blank or #N/A
+export const UNKNOWN_STATUS = 'Unknown'
+
+/**
+ * Load hidden statuses from localStorage (defaults to hiding alumni)
+ */
+export function loadHiddenStatuses() {
+  if (typeof window === 'undefined') return DEFAULT_HIDDEN_STATUSES
+  try {
+    const raw = window.localStorage.getItem(HIDDEN_STATUSES_KEY)
+    if (!raw) return DEFAULT_HIDDEN_STATUSES
+    const parsed = JSON.parse(raw)
+    return Array.isArray(parsed) ? parsed : DEFAULT_HIDDEN_STATUSES
+  } catch {
+    return DEFAULT_HIDDEN_STATUSES
+  }
+}
+
+/**
+ * Save hidden statuses to localStorage
+ */
+export function saveHiddenStatuses(statuses) {
+  if (typeof window === 'undefined') return
+  try {
+    window.localStorage.setItem(HIDDEN_STATUSES_KEY, JSON.stringify(statuses))
+  } catch {
+    // fail silently – not critical
+  }
+}
+
+/**
+ * Status used for filtering (blank statuses are grouped as Unknown)
+ */
+export function getStatusKey(student) {
+  return student.status || UNKNOWN_STATUS
+}
+
+/**
+ * Whether a student is shown under the given hidden statuses
+ */
+export function isStatusVisible(student, hiddenStatuses) {
+  return !hiddenStatuses.includes(getStatusKey(student))
+}
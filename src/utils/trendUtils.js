@@ -0,0 +1,60 @@
+/**
+ * Longitudinal helpers for a single student's assessment history
+ */
+
+import { SUBTEST_PREFIXES, TEST_NAMES } from './dataParser'
+
+/**
+ * Build the time series of one score field for one test
+ * @param {Array} assessments - A student's assessment records
+ * @param {string} testKey - Test prefix (e.g. 'CLS', 'SC')
+ * @param {string} field - Score field on the test data (default: 'standardScore')
+ * @returns {Array} - [{ date, value, age }] sorted oldest first, missing values dropped
+ */
+export function getScoreHistory(assessments, testKey, field = 'standardScore') {
+  if (!assessments || assessments.length === 0) return []
+
+  return assessments
+    .filter(assessment => {
+      const value = assessment.tests?.[testKey]?.[field]
+      return value !== null && value !== undefined && !isNaN(value)
+    })
+    .map(assessment => ({
+      date: new Date(assessment.date),
+      value: assessment.tests[testKey][field],
+      age: assessment.age
+    }))
+    .sort((a, b) => a.date - b.date)
+}
+
+/**
+ * Summarize Growth Scale Value (GSV) change for every subtest with two or more GSVs.
+ * GSV is on an absolute (not age-normed) scale, so it shows skill gains even
+ * when standard scores stay flat.
+ * @param {Array} assessments - A student's assessment records
+ * @returns {Array} - [{ test, testName, points, steps, totalChange }]
+ */
+export function getGsvChanges(assessments) {
+  const changes = []
+
+  for (const prefix of SUBTEST_PREFIXES) {
+    const points = getScoreHistory(assessments, prefix, 'gsv')
+    if (points.length < 2) continue
+
+    const steps = points.slice(1).map((point, index) => ({
+      from: points[index],
+      to: point,
+      change: point.value - points[index].value
+    }))
+
+    changes.push({
+      test: prefix,
+      testName: TEST_NAMES[prefix] || prefix,
+      points,
+      steps,
+      totalChange: points[points.length - 1].value - points[0].value
+    })
+  }
+
+  return changes
+}